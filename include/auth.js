@@ -6,51 +6,136 @@
 'use strict';
 
 const {createInterface, Interface, Readline} = require('readline/promises');
+const {readFile} = require('fs/promises');
 const {google} = require('googleapis');
 const {env, stdin, stdout} = require('process');
 const http = require('got');
 const {CookieJar} = require('tough-cookie');
 
-const USER_AGENT = 'Vocaloid Wiki View Count Updater';
 const PROVIDERS = [
     'google',
     'vimeo',
     'wikia'
 ];
 const {GoogleAuth} = google.auth;
+const DEFAULT_SECRETS_FILE = 'auth/secrets.json';
+
+/**
+ * Reads a JSON file.
+ * @param {string} file Path to the file
+ * @returns {Promise<*>} Parsed file contents, or null if the file does not
+ * exist
+ */
+async function readJSON(file) {
+    try {
+        return JSON.parse(await readFile(file, {
+            encoding: 'utf-8'
+        }));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
 
 /**
  * Handles authentication with video providers.
  */
 class Auth {
     /**
-     * Begins authentication with services.
+     * Class constructor.
+     * @param {object} options Method options
+     * @param {string} options.api URL of the wiki's API
+     * @param {string} options.userAgent User agent for login requests
+     * @param {string} options.secrets Path to the secrets file
+     */
+    constructor({api, userAgent, secrets}) {
+        this._api = api;
+        this._userAgent = userAgent;
+        this._secretsFile = secrets || DEFAULT_SECRETS_FILE;
+    }
+    /**
+     * Begins authentication with services. Services other than the wiki
+     * without credentials are skipped, and missing from the returned
+     * tokens.
+     * @param {string[]} services Services other than Fandom to authenticate
+     * with
      * @returns {Promise} Promise to listen on for response
+     * @throws {Error} If authentication with an unknown service is requested
+     * or there are no wiki credentials
      */
-    async run() {
+    async run(services = PROVIDERS) {
         const tokens = {};
-        for (const provider of PROVIDERS) {
-            const credentials = require(`../auth/${provider}.json`);
-            tokens[provider] = await this[`_${provider}`](credentials);
+        const secrets = await readJSON(this._secretsFile) || {};
+        for (const provider of new Set([...services, 'wikia'])) {
+            if (!PROVIDERS.includes(provider)) {
+                throw new Error(`Unknown authentication service: ${provider}`);
+            }
+            const credentials = this.#envCredentials(provider) ||
+                secrets[provider] ||
+                await readJSON(`auth/${provider}.json`);
+            if (credentials) {
+                tokens[provider] = await this[`_${provider}`](credentials);
+            } else if (provider === 'wikia') {
+                throw new Error('No wiki credentials found!');
+            }
         }
         return tokens;
     }
+    /**
+     * Reads credentials of a service from environment variables.
+     * @param {string} service Service to read credentials of
+     * @returns {*} Credentials, or null if none are set
+     */
+    #envCredentials(service) {
+        const keyFile = env.VWVCU_GOOGLE_CREDENTIALS ||
+            env.GOOGLE_APPLICATION_CREDENTIALS;
+        switch (service) {
+            case 'google':
+                return keyFile ? {keyFile} : null;
+            case 'vimeo':
+                return env.VWVCU_VIMEO_TOKEN || null;
+            case 'wikia':
+                if (env.VWVCU_WIKI_ACCESS_TOKEN) {
+                    return {
+                        accessToken: env.VWVCU_WIKI_ACCESS_TOKEN
+                    };
+                }
+                if (env.VWVCU_WIKI_USERNAME) {
+                    return {
+                        password: env.VWVCU_WIKI_PASSWORD,
+                        username: env.VWVCU_WIKI_USERNAME
+                    };
+                }
+                return null;
+            default:
+                return null;
+        }
+    }
     /**
      * Handles Google authentication.
-     * @param {object} credentials Saved Google credentials
+     * @param {object} credentials Saved Google service account key, or an
+     * object with the path to its `keyFile`
      * @returns {GoogleAuth} Google authentication client
      * @private
      */
     _google(credentials) {
-        env.GOOGLE_CLOUD_PROJECT = credentials.project_id;
+        if (credentials.keyFile) {
+            return new GoogleAuth({
+                keyFile: credentials.keyFile,
+                scopes: ['https://www.googleapis.com/auth/youtube.readonly']
+            });
+        }
         return new GoogleAuth({
-            keyFile: 'auth/google.json',
+            credentials,
+            projectId: credentials.project_id,
             scopes: ['https://www.googleapis.com/auth/youtube.readonly']
         });
     }
     /**
      * Handles Vimeo authentication.
-     * @param {object} credentials Saved Google credentials
+     * @param {string} credentials Saved Vimeo token
      * @returns {string} Configured Vimeo token
      * @private
      * @todo Make this fetch a token instead of just reading it
@@ -59,47 +144,76 @@ class Auth {
         return credentials;
     }
     /**
-     * Handles Fandom authentication.
-     * @param {object} options Fandom credentials
-     * @param {string} options.username Fandom username
-     * @param {string?} options.password Fandom password
-     * @returns {Promise<CookieJar>} Cookie jar with Fandom credentials
+     * Handles wiki authentication, either by logging in with a bot
+     * password or by using an access token of an owner-only OAuth
+     * consumer.
+     * @param {object} options Wiki credentials
+     * @param {string?} options.username Bot password username, in the
+     * `User@bot` form
+     * @param {string?} options.password Bot password
+     * @param {string?} options.accessToken OAuth 2.0 access token
+     * @returns {Promise<object>} Wiki session, with a cookie `jar` or an
+     * OAuth `accessToken`
+     * @throws {Error} If the credentials are invalid
      * @private
      */
-    async _wikia({username, password}) {
-        const jar = new CookieJar();
-        let finalPassword = password;
-        if (!finalPassword) {
-            const rl = createInterface({
-                input: stdin,
-                output: stdout
-            });
-            const readline = new Readline(rl.output);
-            rl.input.on('keypress', this.#rlKeypress.bind(this, rl, readline));
-            finalPassword = await rl.question('Enter your Fandom password: ');
-            rl.close();
+    async _wikia({username, password, accessToken}) {
+        if (accessToken) {
+            return {
+                accessToken
+            };
         }
-        try {
-            // eslint-disable-next-line max-len
-            await http.post('https://services.fandom.com/mobile-fandom-app/fandom-auth/login', {
-                cookieJar: jar,
-                form: {
-                    password: finalPassword,
-                    username
-                },
-                headers: {
-                    'User-Agent': USER_AGENT,
-                    'X-Fandom-Auth': 1,
-                    'X-Wikia-WikiaAppsID': 1234
-                }
-            });
-            return jar;
-        } catch (error) {
-            if (error.statusCode === 400) {
-                throw new Error('Invalid Fandom credentials!');
+        const jar = new CookieJar();
+        const api = http.extend({
+            cookieJar: jar,
+            headers: {
+                'User-Agent': this._userAgent
+            },
+            url: this._api
+        });
+        const {query} = await api.get({
+            searchParams: {
+                action: 'query',
+                format: 'json',
+                formatversion: 2,
+                meta: 'tokens',
+                type: 'login'
             }
-            throw error;
+        }).json();
+        const {login} = await api.post({
+            form: {
+                action: 'login',
+                format: 'json',
+                formatversion: 2,
+                lgname: username,
+                lgpassword: password || await this.#prompt(
+                    `Enter the bot password for ${username}: `
+                ),
+                lgtoken: query.tokens.logintoken
+            }
+        }).json();
+        if (login.result !== 'Success') {
+            throw new Error(`Invalid wiki credentials: ${login.reason || login.result}`);
         }
+        return {
+            jar
+        };
+    }
+    /**
+     * Asks for a password in the console, masking it while typed.
+     * @param {string} question Prompt to show
+     * @returns {Promise<string>} Entered password
+     */
+    async #prompt(question) {
+        const rl = createInterface({
+            input: stdin,
+            output: stdout
+        });
+        const readline = new Readline(rl.output);
+        rl.input.on('keypress', this.#rlKeypress.bind(this, rl, readline));
+        const answer = await rl.question(question);
+        rl.close();
+        return answer;
     }
     /**
      * Handler for the readline event when a key is pressed.
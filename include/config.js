@@ -0,0 +1,666 @@
+/**
+ * config.js
+ *
+ * Loads and validates configuration from the configuration file and
+ * command-line arguments.
+ */
+'use strict';
+
+const path = require('path');
+const Guards = require('./guards.js');
+const Milestones = require('./milestones.js');
+
+const DEFAULT_CONFIG_FILE = 'config.json';
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_FORMATS = ['text', 'json'];
+const LOG_ROTATIONS = ['none', 'date', 'size'];
+const REPORT_FORMATS = ['markdown', 'html'];
+const ORDERS = ['listed', 'stale'];
+const SOURCES = ['list', 'page', 'category', 'since', 'links', 'search'];
+const STATS = ['comments', 'likes', 'mylists'];
+
+/**
+ * Validates limits for providers or hosts.
+ * @param {object} limits Limits keyed by provider code or host name
+ * @returns {boolean} Whether the limits are valid
+ */
+function validateLimits(limits) {
+    return Object.values(limits).every(limit => typeof limit === 'object' &&
+        limit !== null &&
+        Object.entries(limit).every(([key, value]) => [
+            'concurrency',
+            'interval'
+        ].includes(key) && Number.isFinite(value) && value >= 0));
+}
+
+/**
+ * Validates guard rules.
+ * @param {object} rules Guard rules
+ * @returns {boolean} Whether the rules are valid
+ */
+function validateGuards(rules) {
+    try {
+        Guards.validate(rules);
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+/**
+ * Validates infobox parameters of video statistics.
+ * @param {object} params Infobox parameters, keyed by statistic
+ * @returns {boolean} Whether the parameters are valid
+ */
+function validateStatParams(params) {
+    return Object.entries(params).every(
+        ([stat, param]) => STATS.includes(stat) &&
+            typeof param === 'string' &&
+            param.trim() !== '' &&
+            !['links', 'views'].includes(param)
+    );
+}
+
+/**
+ * Validates wiki pages to publish lists of top songs on.
+ * @param {object} pages Page titles, keyed by provider code
+ * @returns {boolean} Whether the pages are valid
+ */
+function validateTopPages(pages) {
+    return Object.values(pages).every(
+        title => typeof title === 'string' && title.trim() !== ''
+    );
+}
+
+/**
+ * Validates milestone rules.
+ * @param {object[]} rules Milestone rules
+ * @returns {boolean} Whether the rules are valid
+ */
+function validateMilestones(rules) {
+    try {
+        Milestones.validate(rules);
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+/**
+ * Available configuration options. Options with `cli` set to false can
+ * only be set in the configuration file, and options with `file` set to
+ * false only on the command line.
+ */
+const OPTIONS = [
+    {
+        default: DEFAULT_CONFIG_FILE,
+        description: 'Path to the configuration file',
+        file: false,
+        name: 'config',
+        type: 'string'
+    },
+    {
+        default: false,
+        description: 'Shows this help message',
+        file: false,
+        name: 'help',
+        type: 'boolean'
+    },
+    {
+        default: 'vocaloid.fandom.com',
+        description: 'Domain of the wiki to update',
+        name: 'domain',
+        type: 'string'
+    },
+    {
+        default: '/api.php',
+        description: 'Path to the wiki\'s API, such as /w/api.php on wikis ' +
+            'outside Fandom',
+        name: 'apiPath',
+        type: 'string'
+    },
+    {
+        default: 'auth/secrets.json',
+        description: 'Path to the file with credentials of all services',
+        name: 'secrets',
+        type: 'string'
+    },
+    {
+        default: 'Song box 2',
+        description: 'Name of the infobox template with view counts',
+        name: 'template',
+        type: 'string'
+    },
+    {
+        cli: false,
+        default: {},
+        description: 'Infobox parameters with other video statistics to ' +
+            'update, keyed by statistic (comments, likes or mylists)',
+        name: 'statParams',
+        type: 'object',
+        validate: validateStatParams
+    },
+    {
+        default: null,
+        description: 'Infobox parameter with the date view counts are as ' +
+            'of, updated with them',
+        name: 'dateParam',
+        type: 'string'
+    },
+    {
+        default: false,
+        description: 'Whether to write the date view counts are as of as ' +
+            'the third argument of {{v}}',
+        name: 'dateArg',
+        type: 'boolean'
+    },
+    {
+        default: 0,
+        description: 'Namespace of pages to update',
+        name: 'namespace',
+        type: 'number'
+    },
+    {
+        default: 'Updating view count',
+        description: 'Summary of view count edits',
+        name: 'summary',
+        type: 'string'
+    },
+    {
+        default: 5,
+        description: 'Maximum replication lag in seconds before the wiki ' +
+            'refuses requests',
+        name: 'maxlag',
+        type: 'number'
+    },
+    {
+        default: 5,
+        description: 'How many times to retry failed wiki requests',
+        name: 'retries',
+        type: 'number'
+    },
+    {
+        default: 'Vocaloid Wiki View Count Updater',
+        description: 'User agent for the wiki and provider APIs',
+        name: 'userAgent',
+        type: 'string'
+    },
+    {
+        // eslint-disable-next-line max-len
+        default: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/104.0.5112.79 Safari/537.36',
+        description: 'User agent for scraping provider websites',
+        name: 'scraperUserAgent',
+        type: 'string'
+    },
+    {
+        default: 'debug',
+        description: 'Minimum level of logged messages',
+        name: 'logLevel',
+        type: 'string',
+        values: LOG_LEVELS
+    },
+    {
+        default: 'logs',
+        description: 'Directory to write logs to',
+        name: 'logDir',
+        type: 'string'
+    },
+    {
+        default: 'text',
+        description: 'Format of log files, one JSON object per line with ' +
+            '`json`',
+        name: 'logFormat',
+        type: 'string',
+        values: LOG_FORMATS
+    },
+    {
+        default: 'none',
+        description: 'When to start new log files, every day with `date` ' +
+            'or when they grow too large with `size`',
+        name: 'logRotate',
+        type: 'string',
+        values: LOG_ROTATIONS
+    },
+    {
+        default: 10 * 1024 * 1024,
+        description: 'Size in bytes above which log files are rotated',
+        name: 'logMaxSize',
+        type: 'number'
+    },
+    {
+        default: null,
+        description: 'Codes of built-in providers or paths to custom ' +
+            'provider modules to load (default: all built-in providers)',
+        name: 'providers',
+        type: 'string[]'
+    },
+    {
+        default: 1,
+        description: 'How many pages to process at the same time',
+        name: 'concurrency',
+        type: 'number'
+    },
+    {
+        default: 2000,
+        description: 'Minimum milliseconds between two edits',
+        name: 'editInterval',
+        type: 'number'
+    },
+    {
+        cli: false,
+        default: {},
+        description: 'Request limits per provider code',
+        name: 'limits',
+        type: 'object',
+        validate: validateLimits
+    },
+    {
+        cli: false,
+        default: {},
+        description: 'Request limits per host name',
+        name: 'hosts',
+        type: 'object',
+        validate: validateLimits
+    },
+    {
+        default: true,
+        description: 'Whether to edit pages (--no-edit writes a dry run ' +
+            'report instead)',
+        name: 'edit',
+        type: 'boolean'
+    },
+    {
+        default: true,
+        description: 'Whether to mark edits as bot edits',
+        name: 'bot',
+        type: 'boolean'
+    },
+    {
+        default: 'markdown',
+        description: 'Format of the dry run report',
+        name: 'report',
+        type: 'string',
+        values: REPORT_FORMATS
+    },
+    {
+        default: false,
+        description: 'Read pages to update from list.txt',
+        name: 'list',
+        type: 'boolean'
+    },
+    {
+        default: null,
+        description: 'Update only the specified page',
+        name: 'page',
+        type: 'string'
+    },
+    {
+        default: null,
+        description: 'Update pages in the specified category',
+        name: 'category',
+        type: 'string'
+    },
+    {
+        default: false,
+        description: 'Also update pages in subcategories of the category',
+        name: 'recursive',
+        type: 'boolean'
+    },
+    {
+        default: null,
+        description: 'Update pages changed since the specified date',
+        name: 'since',
+        type: 'string',
+        validate: value => !isNaN(Date.parse(value))
+    },
+    {
+        default: null,
+        description: 'Update pages linked from the specified page, such as ' +
+            'a producer\'s discography',
+        name: 'links',
+        type: 'string'
+    },
+    {
+        default: null,
+        description: 'Update pages found by the specified search query',
+        name: 'search',
+        type: 'string'
+    },
+    {
+        default: 'listed',
+        description: 'Order to update pages in (stale: pages whose view ' +
+            'counts were updated least recently first)',
+        name: 'order',
+        type: 'string',
+        values: ORDERS
+    },
+    {
+        default: null,
+        description: 'Maximum amount of pages to update',
+        name: 'limit',
+        type: 'number'
+    },
+    {
+        default: false,
+        description: 'Continue the last run from where it stopped',
+        file: false,
+        name: 'resume',
+        type: 'boolean'
+    },
+    {
+        default: false,
+        description: 'Print statistics from the view count history',
+        file: false,
+        name: 'stats',
+        type: 'boolean'
+    },
+    {
+        default: 30,
+        description: 'How many days back statistics look for growth',
+        name: 'days',
+        type: 'number'
+    },
+    {
+        default: null,
+        description: 'Port to serve the dashboard on (default: no ' +
+            'dashboard)',
+        name: 'dashboardPort',
+        type: 'number'
+    },
+    {
+        default: '127.0.0.1',
+        description: 'Host name to serve the dashboard on',
+        name: 'dashboardHost',
+        type: 'string'
+    },
+    {
+        default: false,
+        description: 'Keep running and check pages as they become due',
+        name: 'daemon',
+        type: 'boolean'
+    },
+    {
+        default: 1,
+        description: 'Shortest interval between checks of a page in ' +
+            'daemon mode, in days',
+        name: 'minInterval',
+        type: 'number'
+    },
+    {
+        default: 30,
+        description: 'Longest interval between checks of a page in ' +
+            'daemon mode, in days',
+        name: 'maxInterval',
+        type: 'number'
+    },
+    {
+        default: 1,
+        description: 'How often to list pages again in daemon mode, in days',
+        name: 'listInterval',
+        type: 'number'
+    },
+    {
+        cli: false,
+        default: null,
+        description: 'Milestone rules (default: Niconico Hall of Fame ' +
+            'and Hall of Legend)',
+        name: 'milestones',
+        type: 'object[]',
+        validate: validateMilestones
+    },
+    {
+        cli: false,
+        default: null,
+        description: 'Rules fetched view counts must follow to be written ' +
+            '(default: no decreases, at most 10 times more views per day)',
+        name: 'guards',
+        type: 'object',
+        validate: validateGuards
+    },
+    {
+        default: null,
+        description: 'Parameter to add to {{l}} templates of unavailable ' +
+            'videos',
+        name: 'unavailableParam',
+        type: 'string'
+    },
+    {
+        default: null,
+        description: 'Category to add to pages with unavailable videos',
+        name: 'unavailableCategory',
+        type: 'string'
+    },
+    {
+        default: null,
+        description: 'Wiki page to publish the list of unavailable videos on',
+        name: 'unavailablePage',
+        type: 'string'
+    },
+    {
+        default: 30,
+        description: 'Days after which view counts that could not be ' +
+            'updated are reported as outdated',
+        name: 'staleDays',
+        type: 'number'
+    },
+    {
+        default: null,
+        description: 'Wiki page to publish the log of recent runs on',
+        name: 'runLogPage',
+        type: 'string'
+    },
+    {
+        cli: false,
+        default: {},
+        description: 'Wiki pages to publish the songs with the most views ' +
+            'on, keyed by provider code',
+        name: 'topPages',
+        type: 'object',
+        validate: validateTopPages
+    },
+    {
+        default: 100,
+        description: 'How many songs to list on top song pages',
+        name: 'topLimit',
+        type: 'number'
+    },
+    {
+        default: 1,
+        description: 'How often to publish summary pages in daemon mode, ' +
+            'in days',
+        name: 'publishInterval',
+        type: 'number'
+    }
+];
+
+/**
+ * Converts an option name to its command-line form.
+ * @param {string} name Option name
+ * @returns {string} Option name in kebab case
+ */
+function toKebabCase(name) {
+    return name.replace(/[A-Z]/gu, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Converts a command-line option name to its configuration form.
+ * @param {string} name Option name in kebab case
+ * @returns {string} Option name
+ */
+function toCamelCase(name) {
+    return name.replace(/-([a-z])/gu, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Checks whether a value is valid for an option.
+ * @param {object} option Option definition
+ * @param {*} value Value to check
+ * @returns {boolean} Whether the value is valid
+ */
+function isValid(option, value) {
+    if (value === null) {
+        return option.default === null;
+    }
+    switch (option.type) {
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'number':
+            return Number.isFinite(value) && value >= 0;
+        case 'string':
+            return typeof value === 'string' &&
+                (!option.values || option.values.includes(value)) &&
+                (!option.validate || option.validate(value));
+        case 'string[]':
+            return Array.isArray(value) &&
+                value.every(item => typeof item === 'string');
+        case 'object':
+            return typeof value === 'object' &&
+                !Array.isArray(value) &&
+                (!option.validate || option.validate(value));
+        case 'object[]':
+            return Array.isArray(value) &&
+                (!option.validate || option.validate(value));
+        default:
+            return false;
+    }
+}
+
+/**
+ * Converts a command-line value to the type of an option.
+ * @param {object} option Option definition
+ * @param {string?} value Value from the command line, or null if the
+ * option was specified without a value
+ * @returns {*} Converted value
+ * @throws {Error} If the option requires a value
+ */
+function convert(option, value) {
+    if (option.type === 'boolean') {
+        return value === null || value === 'true';
+    }
+    if (value === null) {
+        throw new Error(`Option --${toKebabCase(option.name)} requires a value.`);
+    }
+    switch (option.type) {
+        case 'number':
+            return Number(value);
+        case 'string[]':
+            return value.split(',').map(item => item.trim());
+        default:
+            return value;
+    }
+}
+
+/**
+ * Parses command-line arguments.
+ * @param {string[]} args Command-line arguments, without the executable
+ * and script path
+ * @returns {object} Options set on the command line
+ * @throws {Error} If an argument is unknown or invalid
+ */
+function parseArgs(args) {
+    const options = {};
+    for (const arg of args) {
+        const match = (/^--(no-)?([a-z][a-z-]*)(?:=(.*))?$/su).exec(arg);
+        if (arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (!match) {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+        const [, negated, name, value] = match;
+        const option = OPTIONS.find(o => o.name === toCamelCase(name));
+        if (!option || option.cli === false) {
+            throw new Error(`Unknown option: --${name}`);
+        }
+        if (negated && (option.type !== 'boolean' || value !== undefined)) {
+            throw new Error(`Option --${name} cannot be negated.`);
+        }
+        options[option.name] = negated ?
+            false :
+            convert(option, value === undefined ? null : value);
+    }
+    return options;
+}
+
+/**
+ * Loads configuration from the configuration file and command-line
+ * arguments, which take precedence.
+ * @param {string[]} args Command-line arguments, without the executable
+ * and script path
+ * @returns {object} Validated configuration
+ * @throws {Error} If the configuration is invalid
+ */
+function loadConfig(args) {
+    const cli = parseArgs(args);
+    const file = cli.config || DEFAULT_CONFIG_FILE;
+    let fileConfig = {};
+    try {
+        fileConfig = require(path.resolve(file));
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND' || cli.config) {
+            throw new Error(`Cannot load configuration from ${file}: ${error.message}`);
+        }
+    }
+    const config = {};
+    for (const [name, value] of Object.entries(fileConfig)) {
+        const option = OPTIONS.find(o => o.name === name);
+        if (!option || option.file === false) {
+            throw new Error(`Unknown configuration option in ${file}: ${name}`);
+        }
+        config[name] = value;
+    }
+    Object.assign(config, cli);
+    for (const option of OPTIONS) {
+        if (!(option.name in config)) {
+            config[option.name] = option.default;
+        } else if (!isValid(option, config[option.name])) {
+            throw new Error(`Invalid value for option ${option.name}: ${JSON.stringify(config[option.name])}`);
+        }
+    }
+    const sources = SOURCES.filter(name => config[name]);
+    if (sources.length > 1) {
+        throw new Error(`Only one of these options can be set: ${sources.join(', ')}`);
+    }
+    return config;
+}
+
+/**
+ * Formats an option for the help message.
+ * @param {object} option Option definition
+ * @returns {string} Formatted option
+ */
+function formatOption(option) {
+    const name = toKebabCase(option.name);
+    const type = option.values ? option.values.join('|') : option.type;
+    const flag = option.type === 'boolean' ?
+        `--${option.default ? 'no-' : ''}${name}` :
+        `--${name}=<${type}>`;
+    const defaultValue = option.type === 'boolean' || option.default === null ?
+        '' :
+        ` (default: ${option.default})`;
+    return `  ${flag}\n      ${option.description}${defaultValue}`;
+}
+
+/**
+ * Generates the help message.
+ * @returns {string} Help message
+ */
+function help() {
+    return [
+        'Usage: node main.js [options]',
+        '',
+        `Options can also be set in ${DEFAULT_CONFIG_FILE}, using their ` +
+            'camelCase names.',
+        '',
+        ...OPTIONS
+            .filter(option => option.cli !== false)
+            .map(formatOption)
+    ].join('\n');
+}
+
+module.exports = {
+    help,
+    loadConfig,
+    parseArgs
+};
@@ -0,0 +1,222 @@
+/**
+ * daemon.js
+ *
+ * Keeps running and checks pages whenever the schedule says they are due.
+ */
+'use strict';
+
+const {setTimeout} = require('timers/promises');
+const Lister = require('./list.js');
+const Logger = require('./log.js');
+const Schedule = require('./schedule.js');
+const ViewCountFetcher = require('./fetcher.js');
+const {nextQuotaReset} = require('./providers/yt.js');
+const {DAY} = require('./time.js');
+
+const MAX_SLEEP = 60 * 60 * 1000;
+
+/**
+ * Long-running scheduler of page checks.
+ */
+class Daemon {
+    /**
+     * Class constructor.
+     * @param {object} options Method options
+     * @param {Schedule} options.schedule Schedule of page checks
+     * @param {Lister} options.lister Lister of pages to schedule
+     * @param {ViewCountFetcher} options.fetcher Fetcher of view counts,
+     * tracking whether the YouTube API quota was exceeded
+     * @param {Function} options.check Function checking due pages
+     * @param {number} options.listInterval How often to list pages again,
+     * in days
+     * @param {Function} options.publish Function recording the summary of
+     * checks since it was last called and publishing summary pages
+     * @param {number} options.publishInterval How often to publish summary
+     * pages, in days
+     * @param {Logger} options.logger Logger to use
+     */
+    constructor({
+        schedule,
+        lister,
+        fetcher,
+        check,
+        listInterval,
+        publish,
+        publishInterval,
+        logger
+    }) {
+        this._schedule = schedule;
+        this._lister = lister;
+        this._fetcher = fetcher;
+        this._check = check;
+        this._listInterval = listInterval * DAY;
+        this._publish = publish;
+        this._publishInterval = publishInterval * DAY;
+        this._logger = logger;
+        this._sleeping = null;
+        this._quotaReset = null;
+        this.stopping = false;
+    }
+    /**
+     * Checks due pages until stopped.
+     */
+    async run() {
+        while (!this.stopping) {
+            try {
+                await this.#cycle(new Date());
+                await this.#publish(new Date());
+            } catch (error) {
+                this._logger.error('Failed to check due pages:', error);
+            }
+            await this.#sleep(this.#nextWake());
+        }
+    }
+    /**
+     * Stops the daemon after the pages being processed are done.
+     */
+    stop() {
+        this.stopping = true;
+        this.wake();
+    }
+    /**
+     * Checks due pages right away if the daemon is waiting for them.
+     */
+    wake() {
+        if (this._sleeping) {
+            this._sleeping.abort();
+        }
+    }
+    /**
+     * Lists pages if they were not listed recently and checks the ones
+     * that are due.
+     * @param {Date} now Current time
+     * @private
+     */
+    async #cycle(now) {
+        if (this._fetcher.quotaExceeded) {
+            if (now < this._quotaReset) {
+                return;
+            }
+            this._fetcher.quotaExceeded = false;
+        }
+        if (
+            !this._schedule.listed ||
+            now - new Date(this._schedule.listed) >= this._listInterval
+        ) {
+            await this.#list(now);
+        }
+        const due = this._schedule.due(now);
+        if (due.length === 0) {
+            return;
+        }
+        this._logger.info(due.length, 'pages due for a check.');
+        await this._check(due);
+        if (this._fetcher.quotaExceeded) {
+            this._quotaReset = nextQuotaReset(new Date());
+            this._logger.warn(
+                'YouTube API daily quota exceeded, pausing until',
+                this._quotaReset.toISOString()
+            );
+        }
+    }
+    /**
+     * Lists all pages and adds new ones to the schedule.
+     * @param {Date} now Current time
+     * @private
+     */
+    async #list(now) {
+        this._logger.info('Listing pages to schedule...');
+        this._lister.resume(null, false);
+        let added = 0;
+        while (!this._lister.done && !this.stopping) {
+            added += this._schedule.add(
+                await this._lister.next(),
+                now
+            );
+        }
+        if (this._lister.done) {
+            this._schedule.listed = now.toISOString();
+        }
+        await this._schedule.save();
+        this._logger.info(
+            added,
+            'new pages scheduled,',
+            this._schedule.size,
+            'in total.'
+        );
+    }
+    /**
+     * Records the summary of checks and publishes summary pages if they
+     * were not published recently, so that checks of a few due pages do
+     * not each add a run to the run log.
+     * @param {Date} now Current time
+     * @private
+     */
+    async #publish(now) {
+        if (
+            this.stopping ||
+            this._schedule.published &&
+            now - new Date(this._schedule.published) < this._publishInterval
+        ) {
+            return;
+        }
+        await this._publish();
+        this._schedule.published = now.toISOString();
+        await this._schedule.save();
+    }
+    /**
+     * Determines when the daemon should wake up next.
+     * @returns {Date} Time of the next page check or listing
+     * @private
+     */
+    #nextWake() {
+        if (this._fetcher.quotaExceeded) {
+            return this._quotaReset;
+        }
+        const times = [Date.now() + MAX_SLEEP];
+        const due = this._schedule.nextDue();
+        if (due) {
+            times.push(due.getTime());
+        }
+        if (this._schedule.listed) {
+            times.push(
+                new Date(this._schedule.listed).getTime() +
+                this._listInterval
+            );
+        }
+        if (this._schedule.published) {
+            times.push(
+                new Date(this._schedule.published).getTime() +
+                this._publishInterval
+            );
+        }
+        return new Date(Math.min(...times));
+    }
+    /**
+     * Waits until the specified time, or until the daemon is stopped.
+     * Long waits are split so the daemon wakes up at least hourly.
+     * @param {Date} until Time to wake up at
+     * @private
+     */
+    async #sleep(until) {
+        const delay = Math.min(until.getTime() - Date.now(), MAX_SLEEP);
+        if (this.stopping || delay <= 0) {
+            return;
+        }
+        this._logger.debug('Sleeping until', until.toISOString());
+        this._sleeping = new AbortController();
+        try {
+            await setTimeout(delay, null, {
+                signal: this._sleeping.signal
+            });
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                throw error;
+            }
+        } finally {
+            this._sleeping = null;
+        }
+    }
+}
+
+module.exports = Daemon;
@@ -0,0 +1,317 @@
+/**
+ * dashboard.js
+ *
+ * Local web dashboard for monitoring and controlling runs.
+ */
+'use strict';
+
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const {readFile} = require('fs/promises');
+const {URL} = require('url');
+const Logger = require('./log.js');
+const RunMonitor = require('./monitor.js');
+const ProviderRegistry = require('./registry.js');
+const RunSummary = require('./summary.js');
+const ViewCountFetcher = require('./fetcher.js');
+
+const PAGE_FILE = path.resolve(__dirname, 'dashboard.html');
+const MAX_BODY_SIZE = 64 * 1024;
+const MAX_QUEUE_SIZE = 100;
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1'];
+const WILDCARD_ADDRESSES = ['0.0.0.0', '::'];
+
+/**
+ * HTTP server with the dashboard and its API.
+ */
+class Dashboard {
+    /**
+     * Class constructor.
+     * @param {object} options Method options
+     * @param {string} options.host Host name to listen on
+     * @param {number} options.port Port to listen on
+     * @param {RunMonitor} options.monitor Monitor of the run
+     * @param {RunSummary} options.summary Summary of the run
+     * @param {ViewCountFetcher} options.fetcher Fetcher of view counts,
+     * tracking whether the YouTube API quota was exceeded
+     * @param {ProviderRegistry} options.providers Registered providers,
+     * some of which report their quota usage
+     * @param {Function} options.queue Function returning pages left to
+     * process
+     * @param {Set<string>} options.inProgress Pages being processed
+     * @param {Function} options.enqueue Function adding a page to process
+     * @param {Function} options.skip Function removing a page from the
+     * queue, returning whether it was in the queue
+     * @param {Logger} options.logger Logger to use
+     */
+    constructor({
+        host,
+        port,
+        monitor,
+        summary,
+        fetcher,
+        providers,
+        queue,
+        inProgress,
+        enqueue,
+        skip,
+        logger
+    }) {
+        this._host = host;
+        this._port = port;
+        this._monitor = monitor;
+        this._summary = summary;
+        this._fetcher = fetcher;
+        this._providers = providers;
+        this._queue = queue;
+        this._inProgress = inProgress;
+        this._enqueue = enqueue;
+        this._skip = skip;
+        this._logger = logger;
+        this._server = http.createServer(this.#handle.bind(this));
+        this._sockets = new Set();
+        this._server.on('connection', this.#track.bind(this));
+    }
+    /**
+     * Starts listening.
+     * @returns {Promise} Promise resolving once the server is listening
+     */
+    start() {
+        return new Promise(this.#listen.bind(this));
+    }
+    /**
+     * Stops the server.
+     * @returns {Promise} Promise resolving once the server is closed
+     */
+    stop() {
+        return new Promise(this.#close.bind(this));
+    }
+    /**
+     * URL of the dashboard.
+     * @returns {string} URL the dashboard is served on
+     */
+    get url() {
+        const {address, port} = this._server.address();
+        return `http://${address}:${port}/`;
+    }
+    /**
+     * Current state of the run.
+     * @returns {object} Run progress, queue, recent edits, errors and quota
+     * usage
+     */
+    status() {
+        const pages = this._queue();
+        const quota = {};
+        for (const provider of this._providers.all()) {
+            if (typeof provider.usage === 'function') {
+                quota[provider.code] = provider.usage();
+            }
+        }
+        return {
+            edits: this._monitor.edits,
+            inProgress: [...this._inProgress],
+            paused: this._monitor.paused,
+            queue: {
+                pages: pages.slice(0, MAX_QUEUE_SIZE),
+                size: pages.length
+            },
+            quota,
+            quotaExceeded: this._fetcher.quotaExceeded,
+            summary: this._summary.toJSON()
+        };
+    }
+    /**
+     * Starts listening.
+     * @param {Function} resolve Function to call once listening
+     * @param {Function} reject Function to call if listening failed
+     * @private
+     */
+    #listen(resolve, reject) {
+        this._server.once('error', reject);
+        this._server.listen(this._port, this._host, resolve);
+    }
+    /**
+     * Stops listening.
+     * @param {Function} resolve Function to call once closed
+     * @private
+     */
+    #close(resolve) {
+        this._server.close(resolve);
+        for (const socket of this._sockets) {
+            socket.destroy();
+        }
+    }
+    /**
+     * Keeps track of an open connection, so that connections kept alive
+     * by browsers do not keep the server open once it is stopped.
+     * @param {net.Socket} socket Connection to the server
+     * @private
+     */
+    #track(socket) {
+        this._sockets.add(socket);
+        socket.once('close', this._sockets.delete.bind(this._sockets, socket));
+    }
+    /**
+     * Responds to a request.
+     * @param {http.IncomingMessage} req Incoming request
+     * @param {http.ServerResponse} res Response to the request
+     * @private
+     */
+    async #handle(req, res) {
+        const {pathname} = new URL(req.url, 'http://localhost');
+        try {
+            if (!this.#isAllowedHost(req.headers.host)) {
+                Dashboard.#json(res, 403, {
+                    error: 'Invalid host'
+                });
+            } else if (req.method === 'GET' && pathname === '/') {
+                res.setHeader('Content-Type', 'text/html; charset=utf-8');
+                res.end(await readFile(PAGE_FILE));
+            } else if (req.method === 'GET' && pathname === '/api/status') {
+                Dashboard.#json(res, 200, this.status());
+            } else if (req.method === 'POST' && pathname.startsWith('/api/')) {
+                await this.#control(req, res, pathname.slice(5));
+            } else {
+                Dashboard.#json(res, 404, {
+                    error: 'Not found'
+                });
+            }
+        } catch (error) {
+            this._logger.error('Dashboard request failed:', error);
+            Dashboard.#json(res, 500, {
+                error: error.message
+            });
+        }
+    }
+    /**
+     * Checks whether a request was made to the address the dashboard
+     * listens on, so that other websites cannot reach it by pointing their
+     * domain to the local machine (DNS rebinding).
+     * @param {string?} host Host header of the request
+     * @returns {boolean} Whether the host is the dashboard's address
+     * @private
+     */
+    #isAllowedHost(host) {
+        let url = null;
+        try {
+            url = new URL(`http://${host}`);
+        } catch (_) {
+            return false;
+        }
+        const {address, port} = this._server.address();
+        const hostname = url.hostname.replace(/^\[(.*)\]$/u, '$1');
+        if (Number(url.port || 80) !== port) {
+            return false;
+        }
+        if (WILDCARD_ADDRESSES.includes(address)) {
+            return net.isIP(hostname) !== 0 || hostname === this._host;
+        }
+        return hostname === address ||
+            hostname === this._host ||
+            hostname === 'localhost' && LOOPBACK_ADDRESSES.includes(address);
+    }
+    /**
+     * Runs a control action. Actions are only accepted with a JSON body,
+     * which other websites cannot send without permission.
+     * @param {http.IncomingMessage} req Incoming request
+     * @param {http.ServerResponse} res Response to the request
+     * @param {string} action Action to run
+     * @private
+     */
+    async #control(req, res, action) {
+        const type = req.headers['content-type'] || '';
+        if (!type.startsWith('application/json')) {
+            Dashboard.#json(res, 415, {
+                error: 'Expected a JSON body'
+            });
+            return;
+        }
+        const {page} = await Dashboard.#body(req);
+        const title = typeof page === 'string' ? page.trim() : '';
+        if ((action === 'skip' || action === 'enqueue') && !title) {
+            Dashboard.#json(res, 400, {
+                error: 'No page specified'
+            });
+            return;
+        }
+        const result = this.#act(action, title);
+        if (result === null) {
+            Dashboard.#json(res, 404, {
+                error: `Unknown action: ${action}`
+            });
+            return;
+        }
+        if (!result) {
+            Dashboard.#json(res, 409, {
+                error: `${title} is not in the queue`
+            });
+            return;
+        }
+        this._logger.info('Dashboard:', action, title);
+        Dashboard.#json(res, 200, {
+            ok: true
+        });
+    }
+    /**
+     * Controls the run.
+     * @param {string} action Action to run
+     * @param {string} page Page the action is for, if any
+     * @returns {boolean?} Whether the action succeeded, or null if the
+     * action does not exist
+     * @private
+     */
+    #act(action, page) {
+        switch (action) {
+            case 'pause':
+                this._monitor.pause();
+                return true;
+            case 'resume':
+                this._monitor.resume();
+                return true;
+            case 'skip':
+                return this._skip(page);
+            case 'enqueue':
+                this._enqueue(page);
+                return true;
+            default:
+                return null;
+        }
+    }
+    /**
+     * Reads a JSON request body.
+     * @param {http.IncomingMessage} req Incoming request
+     * @returns {Promise<object>} Parsed body, or an empty object if it is
+     * not a valid JSON object
+     * @private
+     */
+    static async #body(req) {
+        let body = '';
+        for await (const chunk of req) {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                return {};
+            }
+        }
+        try {
+            const parsed = JSON.parse(body || '{}');
+            return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch (_) {
+            return {};
+        }
+    }
+    /**
+     * Responds with JSON.
+     * @param {http.ServerResponse} res Response to the request
+     * @param {number} status HTTP status code
+     * @param {object} body Response body
+     * @private
+     */
+    static #json(res, status, body) {
+        res.statusCode = status;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(body));
+    }
+}
+
+module.exports = Dashboard;
@@ -0,0 +1,47 @@
+/**
+ * errors.js
+ *
+ * Errors reported by video providers.
+ */
+'use strict';
+
+/**
+ * Error thrown when a video was removed, made private or otherwise
+ * became unavailable.
+ */
+class VideoUnavailableError extends Error {
+    /**
+     * Class constructor.
+     * @param {string} provider Code of the video provider
+     * @param {string} id Video ID
+     * @param {string} reason Why the video is unavailable
+     */
+    constructor(provider, id, reason) {
+        super(`[${provider}] Video ${id} unavailable: ${reason}`);
+        this.name = 'VideoUnavailableError';
+        this.provider = provider;
+        this.id = id;
+        this.reason = reason;
+    }
+    /**
+     * Converts HTTP errors signifying that a video does not exist into
+     * unavailable video errors.
+     * @param {string} provider Code of the video provider
+     * @param {string} id Video ID
+     * @param {Error} error Error thrown while requesting the video
+     * @returns {Error} Unavailable video error, or the original error if
+     * it was not caused by a missing video
+     * @static
+     */
+    static wrap(provider, id, error) {
+        const statusCode = error?.response?.statusCode;
+        if (statusCode === 404 || statusCode === 410) {
+            return new VideoUnavailableError(provider, id, 'not found');
+        }
+        return error;
+    }
+}
+
+module.exports = {
+    VideoUnavailableError
+};
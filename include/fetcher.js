@@ -0,0 +1,571 @@
+/**
+ * fetcher.js
+ *
+ * Fetches view counts of videos linked on pages and decides whether they
+ * should be written.
+ */
+'use strict';
+
+const Guards = require('./guards.js');
+const History = require('./history.js');
+const Logger = require('./log.js');
+const ProviderRegistry = require('./registry.js');
+const RateLimiter = require('./limiter.js');
+const RunSummary = require('./summary.js');
+const StaleReport = require('./stale.js');
+const UnavailableReport = require('./unavailable.js');
+const {VideoUnavailableError} = require('./errors.js');
+const {commafy, isValidCount, parseViews, roundV} = require('./views.js');
+const {
+    findViewCounts,
+    getParam,
+    markUnavailable,
+    setParam
+} = require('./wikitext.js');
+
+const DATE_REGEX = /^\s*\d{4}-\d{2}-\d{2}\s*$/u;
+
+/**
+ * Fetches view counts through providers.
+ */
+class ViewCountFetcher {
+    /**
+     * Class constructor.
+     * @param {object} options Method options
+     * @param {ProviderRegistry} options.providers Registered providers
+     * @param {Map<string, RateLimiter>} options.limiters Limiters for
+     * requests of each provider, keyed by provider code
+     * @param {Guards} options.guards Guard rules for fetched view counts
+     * @param {History} options.history View count history to record
+     * fetched view counts in
+     * @param {UnavailableReport} options.unavailable Report of unavailable
+     * videos
+     * @param {RunSummary} options.summary Summary of the run, counting
+     * errors
+     * @param {string?} options.unavailableParam Parameter to add to {{l}}
+     * templates of unavailable videos
+     * @param {string?} options.dateParam Infobox parameter with the date
+     * view counts are as of
+     * @param {boolean} options.dateArg Whether to write the date view
+     * counts are as of as the third argument of {{v}}
+     * @param {StaleReport} options.stale Report of outdated view counts
+     * @param {string} options.template Infobox template view counts are in
+     * @param {object} options.statParams Infobox parameters with other
+     * statistics, keyed by statistic
+     * @param {Logger} options.logger Logger to use
+     */
+    constructor({
+        providers,
+        limiters,
+        guards,
+        history,
+        unavailable,
+        unavailableParam,
+        dateParam,
+        dateArg,
+        stale,
+        template,
+        statParams = {},
+        summary,
+        logger
+    }) {
+        this._providers = providers;
+        this._limiters = limiters;
+        this._guards = guards;
+        this._history = history;
+        this._unavailable = unavailable;
+        this._unavailableParam = unavailableParam;
+        this._dateParam = dateParam;
+        this._dateArg = dateArg;
+        this._stale = stale;
+        this._template = template;
+        this._statParams = statParams;
+        this._summary = summary;
+        this._logger = logger;
+        this.quotaExceeded = false;
+    }
+    /**
+     * Extracts current providers, video IDs and amount of views, or of
+     * another statistic, from page content.
+     * @param {string} content Page content
+     * @param {string} stat Statistic to extract, `views` or one of the
+     * statistics with a configured infobox parameter
+     * @returns {object[]} Matches found in the current content, with the
+     * span of the view count in the content
+     */
+    extract(content, stat = 'views') {
+        const matches = [];
+        for (const {
+            count,
+            countTemplate,
+            infobox,
+            link,
+            linkTemplate,
+            provider
+        } of findViewCounts(
+            content,
+            this._template,
+            this._providers.has.bind(this._providers),
+            stat === 'views' ? stat : this._statParams[stat]
+        )) {
+            const parsed = count && parseViews(count.value);
+            if (parsed) {
+                // Annotations after the view count are kept as they are.
+                matches.push({
+                    approximate: parsed.approximate,
+                    countTemplate,
+                    end: count.start + parsed.length,
+                    infobox,
+                    link,
+                    linkTemplate,
+                    provider,
+                    start: count.start,
+                    stat,
+                    views: parsed.views
+                });
+            } else if (count) {
+                this._logger.warn(
+                    'Unrecognized',
+                    stat,
+                    'count for',
+                    provider,
+                    ':',
+                    count.value
+                );
+            } else if (stat === 'views') {
+                this._logger.warn('No view count found for', provider);
+            }
+        }
+        return matches;
+    }
+    /**
+     * Fetches new view counts for all matches on a page and determines
+     * how the page content should change. Dates view counts are as of are
+     * updated along with them, if configured.
+     * @param {string} page Page to process
+     * @param {string} content Page content the matches were found in
+     * @param {object[]} matches Matches found on the page, as passed to
+     * `fetch`, with the span of the view count in page content and the
+     * `stat` they are for, where statistics other than `views` come last
+     * @param {Map<string, object>} fetched Results of already processed
+     * matches, keyed by provider and video ID, which newly fetched results
+     * are added to
+     * @param {object} context Provider context, with HTTP clients and
+     * authentication tokens
+     * @returns {Promise<object>} View count `changes`, `replacements` to
+     * make in page content and whether any of the videos is `unavailable`
+     * @throws {Error} If the YouTube API quota was exceeded
+     */
+    async fetchAll(page, content, matches, fetched, context) {
+        const replacements = [];
+        const changes = [];
+        const dated = new Map();
+        const today = new Date().toISOString().slice(0, 10);
+        let unavailable = false;
+        for (const match of matches) {
+            const key = `${match.provider}\n${match.link}`;
+            if (match.stat !== 'views') {
+                const replacement = this.#updateStat(
+                    page,
+                    match,
+                    fetched.get(key)
+                );
+                if (replacement) {
+                    replacements.push(replacement);
+                }
+                continue;
+            }
+            if (!fetched.has(key)) {
+                fetched.set(key, await this.fetch(page, match, context));
+            }
+            const result = fetched.get(key);
+            if (result?.unavailable) {
+                unavailable = true;
+                const mark = markUnavailable(
+                    match.linkTemplate,
+                    this._unavailableParam
+                );
+                if (mark) {
+                    replacements.push(mark);
+                }
+            } else if (result) {
+                replacements.push(
+                    ...this.#countReplacements(content, match, result, today)
+                );
+                if (result.update) {
+                    changes.push({
+                        id: match.link,
+                        newCount: result.count,
+                        oldCount: match.views,
+                        provider: match.provider
+                    });
+                    dated.set(match.infobox.start, match.infobox);
+                }
+            } else {
+                this._stale.check({
+                    date: this.#date(match),
+                    id: match.link,
+                    page,
+                    provider: match.provider
+                });
+            }
+        }
+        if (this._dateParam) {
+            for (const infobox of dated.values()) {
+                replacements.push(
+                    setParam(content, infobox, this._dateParam, today)
+                );
+            }
+        }
+        return {
+            changes,
+            replacements,
+            unavailable
+        };
+    }
+    /**
+     * Fetches the view count of a video linked on a page and determines
+     * whether the view count on the page needs to be updated.
+     * @param {string} page Page to process
+     * @param {object} match Match of the video on the page
+     * @param {string} match.link ID of the video
+     * @param {string} match.provider Video provider
+     * @param {number} match.views Current views written on the page
+     * @param {boolean} match.approximate Whether the current views are only
+     * an approximation, such as `1.2M` or `1,234+`
+     * @param {string} match.updated When the page was last edited
+     * @param {object} context Provider context, with HTTP clients and
+     * authentication tokens
+     * @returns {Promise<object?>} Object with the new view `count`, other
+     * `stats` of the video and whether the view count should `update` the
+     * one on the page, object with the reason the video is `unavailable`,
+     * or null if the view count could not be fetched or did not pass the
+     * guards
+     * @throws {Error} If the YouTube API quota was exceeded
+     */
+    async fetch(page, match, context) {
+        const {link, provider, views} = match;
+        const logger = this._logger.child({
+            id: link,
+            page,
+            provider
+        });
+        try {
+            const stats = await this._limiters.get(provider).run(
+                () => this.#fetchStats(provider, link, {
+                    ...context,
+                    views
+                })
+            );
+            const count = stats.views;
+            if (!isValidCount(count)) {
+                logger.error('Invalid view count', count, 'for', link);
+                this._summary.error(provider);
+                return null;
+            }
+            if (!await this.#guard(page, match, count, logger)) {
+                return null;
+            }
+            this._history.record({
+                id: link,
+                page,
+                provider,
+                views: count
+            });
+            const update = this.#shouldUpdate(page, match, count, logger);
+            if (update) {
+                logger.debug('View count: old', views, 'new', count);
+            }
+            return {
+                count,
+                stats,
+                update
+            };
+        } catch (error) {
+            return this.#handleError(page, match, error, logger);
+        }
+    }
+    /**
+     * Determines how a {{v}} template with a fetched view count should
+     * change. If the view count should be updated, it is replaced and the
+     * date it is as of is written into the third argument if configured,
+     * unless the argument is already used for something other than a date.
+     * @param {string} content Page content
+     * @param {object} match Match of the view count on the page
+     * @param {number} match.start Start of the view count in page content
+     * @param {number} match.end End of the view count in page content
+     * @param {object} match.countTemplate Parsed {{v}} template
+     * @param {object} result Result of fetching the view count
+     * @param {string} today Current date
+     * @returns {object[]} Replacements to make in page content
+     * @private
+     */
+    #countReplacements(content, match, result, today) {
+        const {countTemplate, end, start} = match;
+        if (!result.update) {
+            return [];
+        }
+        const replacements = [
+            {
+                end,
+                start,
+                text: commafy(result.count)
+            }
+        ];
+        const date = getParam(countTemplate, 3);
+        if (
+            this._dateArg &&
+            (!date || !date.value.trim() || DATE_REGEX.test(date.value))
+        ) {
+            replacements.push(setParam(content, countTemplate, 3, today));
+        }
+        return replacements;
+    }
+    /**
+     * Finds the date a view count written on a page is as of.
+     * @param {object} match Match of the view count on the page
+     * @param {object} match.countTemplate Parsed {{v}} template
+     * @param {object} match.infobox Parsed infobox template
+     * @returns {string?} Date of the view count, or null if it is not
+     * written on the page
+     * @private
+     */
+    #date({countTemplate, infobox}) {
+        const date = this._dateArg && getParam(countTemplate, 3) ||
+            this._dateParam && getParam(infobox, this._dateParam);
+        return date ? date.value : null;
+    }
+    /**
+     * Fetches statistics of a video from providers that support them, or
+     * only its view count from other providers.
+     * @param {string} code Provider code
+     * @param {string} link ID of the video
+     * @param {object} context Provider context
+     * @returns {Promise<object>} Statistics of the video, with at least its
+     * `views`
+     * @private
+     */
+    async #fetchStats(code, link, context) {
+        const provider = this._providers.get(code);
+        if (typeof provider.fetchStats === 'function') {
+            return provider.fetchStats(link, context);
+        }
+        return {
+            views: await provider.fetchViews(link, context)
+        };
+    }
+    /**
+     * Determines how to update another statistic of a video, such as its
+     * likes, from statistics fetched with its view count.
+     * @param {string} page Page the statistic is on
+     * @param {object} match Match of the statistic on the page
+     * @param {string} match.stat Name of the statistic
+     * @param {object?} result Result of fetching the view count of the
+     * video, if it was fetched
+     * @returns {object?} Replacement of the statistic in page content, or
+     * null if it should not be updated
+     * @private
+     */
+    #updateStat(page, match, result) {
+        const count = result?.stats?.[match.stat];
+        if (
+            !isValidCount(count) ||
+            count === match.views ||
+            !this.#shouldUpdate(page, match, count, this._logger)
+        ) {
+            return null;
+        }
+        this._logger.debug(
+            'Updating',
+            match.stat,
+            'of',
+            match.provider,
+            match.link,
+            'on',
+            page
+        );
+        return {
+            end: match.end,
+            start: match.start,
+            text: commafy(count)
+        };
+    }
+    /**
+     * Lets providers that cache fetched statistics forget them, so that
+     * pages checked again get current view counts.
+     */
+    clearCaches() {
+        for (const provider of this._providers.all()) {
+            if (typeof provider.clear === 'function') {
+                provider.clear();
+            }
+        }
+    }
+    /**
+     * Lets providers that support it fetch view counts of many videos at
+     * once, so they do not have to be fetched one by one.
+     * @param {Map<string, string[]>} links IDs of videos to fetch, keyed by
+     * provider code
+     * @param {object} context Provider context, with HTTP clients and
+     * authentication tokens
+     */
+    async prefetch(links, context) {
+        for (const [code, ids] of links) {
+            const provider = this._providers.get(code);
+            if (typeof provider.prefetch === 'function') {
+                try {
+                    await this._limiters.get(code).run(
+                        () => provider.prefetch(ids, context)
+                    );
+                } catch (error) {
+                    this._logger.warn(
+                        'Failed to prefetch',
+                        provider.name,
+                        'view counts',
+                        error
+                    );
+                }
+            }
+        }
+    }
+    /**
+     * Handles an error while fetching a view count.
+     * @param {string} page Page the video is on
+     * @param {object} match Match of the video on the page
+     * @param {string} match.link ID of the video
+     * @param {string} match.provider Video provider
+     * @param {Error} error Error thrown by the provider
+     * @param {Logger} logger Logger for the match
+     * @returns {object?} Object with the reason the video is `unavailable`,
+     * or null if the view count could not be fetched
+     * @throws {Error} If the YouTube API quota was exceeded
+     * @private
+     */
+    #handleError(page, {link, provider}, error, logger) {
+        if (error instanceof VideoUnavailableError) {
+            logger.warn('Unavailable video on', page, ':', error.message);
+            this._summary.unavailable();
+            this._unavailable.add({
+                id: link,
+                page,
+                provider,
+                reason: error.reason
+            });
+            return {
+                unavailable: error.reason
+            };
+        }
+        this._summary.error(provider);
+        if (
+            error.message && (
+                error.message.startsWith('Daily Limit Exceeded') ||
+                error.message.includes('quota')
+            ) ||
+            error.response &&
+            error.response.code === 403
+        ) {
+            this.quotaExceeded = true;
+            throw error;
+        }
+        logger.error('Error while fetching view counts for', page, error);
+        return null;
+    }
+    /**
+     * Checks a fetched view count against the guard rules, adding it to the
+     * review queue instead if it breaks any of them.
+     * @param {string} page Page the view count is on
+     * @param {object} match Match of the view count on the page, as passed
+     * to `fetch`
+     * @param {number} count Fetched view count
+     * @param {Logger} logger Logger for the match
+     * @returns {Promise<boolean>} Whether the view count passed the guards
+     * @private
+     */
+    async #guard(page, match, count, logger) {
+        const {approximate, link, provider, updated, views} = match;
+        const decision = await this._guards.check({
+            approximate,
+            id: link,
+            newCount: count,
+            oldCount: views,
+            page,
+            provider,
+            updated
+        });
+        if (decision.accepted) {
+            logger.debug(
+                'Accepted',
+                provider,
+                link,
+                'on',
+                page,
+                ':',
+                decision.reason
+            );
+            return true;
+        }
+        logger.warn(
+            'Sent',
+            provider,
+            link,
+            'on',
+            page,
+            `to review (${decision.rule}):`,
+            decision.reason
+        );
+        await this._guards.review(decision);
+        return false;
+    }
+    /**
+     * Determines whether a view count written on a page should be replaced
+     * with a newly fetched one. Exact view counts are not replaced when
+     * they would look the same through {{v}}, and never with lower ones,
+     * even if the guards allow view counts to decrease.
+     * @param {string} page Page the view count is on
+     * @param {object} match Match of the view count on the page
+     * @param {string} match.link ID of the video
+     * @param {string} match.provider Video provider
+     * @param {number} match.views Current views written on the page
+     * @param {boolean} match.approximate Whether the current views are only
+     * an approximation
+     * @param {number} count Fetched view count
+     * @param {Logger} logger Logger for the match
+     * @returns {boolean} Whether the view count should be updated
+     * @private
+     */
+    #shouldUpdate(page, {approximate, link, provider, views}, count, logger) {
+        if (count === views) {
+            return false;
+        }
+        if (approximate) {
+            return true;
+        }
+        if (count < views) {
+            logger.warn(
+                'View count of',
+                provider,
+                link,
+                'on',
+                page,
+                'decreased from',
+                views,
+                'to',
+                count,
+                ', not updating'
+            );
+            return false;
+        }
+        if (roundV(views) === roundV(count)) {
+            logger.debug(
+                'Not enough view count difference for',
+                provider,
+                'on',
+                page
+            );
+            return false;
+        }
+        return true;
+    }
+}
+
+module.exports = ViewCountFetcher;
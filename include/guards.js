@@ -0,0 +1,201 @@
+/**
+ * guards.js
+ *
+ * Checks fetched view counts against sanity rules and queues suspicious
+ * ones for review instead of writing them to pages.
+ */
+'use strict';
+
+const {appendFile, mkdir} = require('fs/promises');
+const path = require('path');
+const {commafy} = require('./views.js');
+const History = require('./history.js');
+const {DAY} = require('./time.js');
+
+const DEFAULT_REVIEW_FILE = 'data/review.jsonl';
+const DEFAULT_RULES = {
+    decrease: false,
+    maxDailyGrowth: 10,
+    minViews: 1000
+};
+const RULE_TYPES = {
+    decrease: 'boolean',
+    maxDailyGrowth: 'number',
+    minViews: 'number'
+};
+
+/**
+ * Checks view count changes against guard rules.
+ */
+class Guards {
+    /**
+     * Class constructor.
+     * @param {object} options Method options
+     * @param {object} options.rules Guard rules, with overrides for
+     * specific providers keyed by provider code in `providers`
+     * @param {History} options.history View count history, used to find
+     * when view counts were last fetched
+     * @param {string} options.file Path to the review queue
+     */
+    constructor({rules, history, file} = {}) {
+        const {providers = {}, ...defaults} = rules || {};
+        this._rules = {
+            ...DEFAULT_RULES,
+            ...defaults
+        };
+        this._providerRules = providers;
+        this._history = history;
+        this._file = file || DEFAULT_REVIEW_FILE;
+    }
+    /**
+     * Validates guard rules.
+     * @param {object} rules Guard rules
+     * @throws {Error} If the rules are invalid
+     * @static
+     */
+    static validate(rules) {
+        const {providers = {}, ...defaults} = rules;
+        for (const ruleSet of [defaults, ...Object.values(providers)]) {
+            for (const [name, value] of Object.entries(ruleSet)) {
+                const type = RULE_TYPES[name];
+                if (
+                    !type ||
+                    value !== null && typeof value !== type ||
+                    type === 'number' && value < 0
+                ) {
+                    throw new Error(`Invalid guard rule: ${name}`);
+                }
+            }
+        }
+    }
+    /**
+     * Checks a fetched view count against the guard rules.
+     * @param {object} change View count change
+     * @param {string} change.page Page the video is on
+     * @param {string} change.provider Video provider
+     * @param {string} change.id Video ID
+     * @param {number} change.oldCount View count on the page
+     * @param {boolean} change.approximate Whether the view count on the
+     * page is only an approximation
+     * @param {number} change.newCount Fetched view count
+     * @param {string} change.updated When the page was last edited, used
+     * when the view count was never fetched before
+     * @returns {Promise<object>} The change, with whether it was
+     * `accepted`, the broken `rule` if it was not and the `reason` for the
+     * decision
+     */
+    async check(change) {
+        const rules = {
+            ...this._rules,
+            ...this._providerRules[change.provider]
+        };
+        const previous = await this.#previous(change);
+        const rejection = this.#checkDecrease(rules, change, previous) ||
+            this.#checkGrowth(rules, change, previous);
+        if (rejection) {
+            return {
+                ...change,
+                accepted: false,
+                ...rejection
+            };
+        }
+        return {
+            ...change,
+            accepted: true,
+            reason: 'no guard rule broken',
+            rule: null
+        };
+    }
+    /**
+     * Adds a rejected view count change to the review queue.
+     * @param {object} decision Decision returned by `check`
+     */
+    async review(decision) {
+        await mkdir(path.dirname(this._file), {
+            recursive: true
+        });
+        await appendFile(this._file, `${JSON.stringify({
+            id: decision.id,
+            newCount: decision.newCount,
+            oldCount: decision.oldCount,
+            page: decision.page,
+            provider: decision.provider,
+            reason: decision.reason,
+            rule: decision.rule,
+            time: new Date().toISOString()
+        })}\n`);
+    }
+    /**
+     * Finds the last known view count of a video and when it was known,
+     * from the view count history or from the page.
+     * @param {object} change View count change, as passed to `check`
+     * @returns {Promise<object>} Last known `views` and their `time`
+     * @private
+     */
+    async #previous(change) {
+        const {approximate, id, oldCount, provider, updated} = change;
+        const latest = this._history ?
+            await this._history.latest() :
+            new Map();
+        const fetched = latest.get(`${provider}\n${id}`);
+        if (fetched && (approximate || fetched.views >= oldCount)) {
+            return fetched;
+        }
+        return {
+            time: updated || new Date().toISOString(),
+            // Approximate view counts can be above the real ones.
+            views: approximate ? 0 : oldCount
+        };
+    }
+    /**
+     * Checks whether a view count decreased when it should not.
+     * @param {object} rules Guard rules for the provider
+     * @param {object} change View count change, as passed to `check`
+     * @param {object} previous Last known view count
+     * @returns {object?} Broken `rule` and `reason`, or null
+     * @private
+     */
+    #checkDecrease(rules, change, previous) {
+        const {newCount} = change;
+        if (rules.decrease || newCount >= previous.views) {
+            return null;
+        }
+        return {
+            reason: `decreased from ${commafy(previous.views)} views as of ` +
+                `${previous.time} to ${commafy(newCount)}`,
+            rule: 'decrease'
+        };
+    }
+    /**
+     * Checks whether a view count grew faster than allowed.
+     * @param {object} rules Guard rules for the provider
+     * @param {object} change View count change, as passed to `check`
+     * @param {object} previous Last known view count
+     * @returns {object?} Broken `rule` and `reason`, or null
+     * @private
+     */
+    #checkGrowth(rules, change, previous) {
+        const {newCount} = change;
+        if (
+            rules.maxDailyGrowth === null ||
+            previous.views < Math.max(rules.minViews || 0, 1)
+        ) {
+            return null;
+        }
+        // Growth within a day is allowed as much as growth over a day.
+        const elapsed = Date.now() - Date.parse(previous.time);
+        const days = Math.max(elapsed / DAY, 1);
+        const factor = (newCount / previous.views) ** (1 / days);
+        if (factor <= rules.maxDailyGrowth) {
+            return null;
+        }
+        return {
+            reason: `grew from ${commafy(previous.views)} views as of ` +
+                `${previous.time} to ${commafy(newCount)}, ` +
+                `${factor.toFixed(1)} times per day`,
+            rule: 'maxDailyGrowth'
+        };
+    }
+}
+
+module.exports = Guards;
@@ -0,0 +1,234 @@
+/**
+ * history.js
+ *
+ * Stores every fetched view count in a JSON-lines database.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {createInterface} = require('readline');
+const {finished} = require('stream/promises');
+const Logger = require('./log.js');
+
+const DEFAULT_HISTORY_FILE = 'data/history.jsonl';
+
+/**
+ * Database of fetched view counts.
+ */
+class History {
+    /**
+     * Class constructor.
+     * @param {object} options Method options
+     * @param {string} options.file Path to the database file
+     * @param {Logger} options.logger Logger for errors while writing
+     */
+    constructor({file, logger} = {}) {
+        this._file = path.resolve(file || DEFAULT_HISTORY_FILE);
+        this._logger = logger || null;
+        this._stream = null;
+        this._index = History.#emptyIndex();
+        this._indexing = null;
+    }
+    /**
+     * Records a fetched view count.
+     * @param {object} entry Database entry
+     * @param {string} entry.page Page the video is on
+     * @param {string} entry.provider Video provider
+     * @param {string} entry.id Video ID
+     * @param {number} entry.views Fetched view count
+     */
+    record({page, provider, id, views}) {
+        if (!this._stream) {
+            this._stream = fs.createWriteStream(this._file, {
+                flags: 'a'
+            });
+            this._stream.on('error', this.#onError.bind(this));
+        }
+        const entry = {
+            id,
+            page,
+            provider,
+            time: new Date().toISOString(),
+            views
+        };
+        this._stream.write(`${JSON.stringify(entry)}\n`);
+        History.#add(this._index, entry);
+    }
+    /**
+     * Reads all entries from the database.
+     * @returns {Promise<object[]>} Database entries, in order of recording
+     */
+    async load() {
+        const entries = [];
+        for await (const entry of this.#read()) {
+            entries.push(entry);
+        }
+        return entries;
+    }
+    /**
+     * Finds when view counts on each page were last recorded.
+     * @returns {Promise<Map<string, string>>} Time of the last entry of each
+     * page, keyed by page title
+     */
+    async lastUpdated() {
+        const updated = new Map();
+        for (const {page, time} of (await this.#indexed()).videos.values()) {
+            if (!updated.has(page) || updated.get(page) < time) {
+                updated.set(page, time);
+            }
+        }
+        return updated;
+    }
+    /**
+     * Finds the last recorded view count of each video. The database is
+     * only read once, and view counts recorded later are added to the
+     * returned map.
+     * @returns {Promise<Map<string, object>>} Last entry of each video,
+     * keyed by provider and video ID
+     */
+    async latest() {
+        return (await this.#indexed()).ids;
+    }
+    /**
+     * Finds the last recorded entry of each video on each page, which is
+     * all statistics of current view counts need.
+     * @returns {Promise<object[]>} Last entries, one per page and video
+     */
+    async latestEntries() {
+        return [...(await this.#indexed()).videos.values()];
+    }
+    /**
+     * Groups database entries by video.
+     * @param {object[]} entries Database entries
+     * @returns {Map<string, object[]>} Entries of each video, keyed by
+     * page, provider and video ID
+     * @static
+     */
+    static byVideo(entries) {
+        const videos = new Map();
+        for (const entry of entries) {
+            const key = `${entry.page}\n${entry.provider}\n${entry.id}`;
+            if (!videos.has(key)) {
+                videos.set(key, []);
+            }
+            videos.get(key).push(entry);
+        }
+        return videos;
+    }
+    /**
+     * Closes the database file.
+     * @returns {Promise} Promise resolving once all entries are written
+     */
+    async close() {
+        if (!this._stream) {
+            return;
+        }
+        const stream = this._stream;
+        this._stream = null;
+        stream.end();
+        try {
+            await finished(stream);
+        } catch (_) {
+            // Already logged by the error handler.
+        }
+    }
+    /**
+     * Reads entries from the database one by one.
+     * @yields {object} Database entries, in order of recording
+     * @private
+     */
+    async *#read() {
+        const input = fs.createReadStream(this._file, {
+            encoding: 'utf-8'
+        });
+        try {
+            for await (const line of createInterface({
+                crlfDelay: Infinity,
+                input
+            })) {
+                if (line.trim()) {
+                    yield JSON.parse(line);
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+    /**
+     * Gets the index of last entries, reading the database the first time.
+     * @returns {Promise<object>} Index of last entries
+     * @private
+     */
+    #indexed() {
+        if (!this._indexing) {
+            this._indexing = this.#buildIndex();
+        }
+        return this._indexing;
+    }
+    /**
+     * Indexes the last entries in the database, along with entries recorded
+     * while reading it.
+     * @returns {Promise<object>} Index of last entries
+     * @private
+     */
+    async #buildIndex() {
+        const index = History.#emptyIndex();
+        for await (const entry of this.#read()) {
+            History.#add(index, entry);
+        }
+        for (const entry of this._index.videos.values()) {
+            History.#add(index, entry);
+        }
+        this._index = index;
+        return index;
+    }
+    /**
+     * Logs an error while writing to the database, so that a missing or
+     * unwritable data directory does not crash the process.
+     * @param {Error} error Error while writing
+     * @private
+     */
+    #onError(error) {
+        this._stream = null;
+        if (this._logger) {
+            this._logger.error('Failed to record view count history:', error);
+        }
+    }
+    /**
+     * Creates an empty index of last entries.
+     * @returns {object} Index with last entries of each video on each page
+     * in `videos` and of each video in `ids`
+     * @private
+     */
+    static #emptyIndex() {
+        return {
+            ids: new Map(),
+            videos: new Map()
+        };
+    }
+    /**
+     * Adds an entry to an index of last entries, if it is not older than
+     * the indexed ones.
+     * @param {object} index Index of last entries
+     * @param {Map<string, object>} index.ids Last entries of each video
+     * @param {Map<string, object>} index.videos Last entries of each video
+     * on each page
+     * @param {object} entry Database entry
+     * @private
+     */
+    static #add({ids, videos}, entry) {
+        const id = `${entry.provider}\n${entry.id}`;
+        const video = `${entry.page}\n${id}`;
+        if (!videos.has(video) || videos.get(video).time <= entry.time) {
+            videos.set(video, entry);
+        }
+        if (!ids.has(id) || ids.get(id).time <= entry.time) {
+            ids.set(id, entry);
+        }
+    }
+}
+
+module.exports = History;
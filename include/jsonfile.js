@@ -0,0 +1,77 @@
+/**
+ * jsonfile.js
+ *
+ * Reads and atomically writes JSON files that are saved often.
+ */
+'use strict';
+
+const {readFile, rename, writeFile} = require('fs/promises');
+
+/**
+ * JSON file written through a temporary file, so that a process stopped
+ * while writing it does not leave it corrupted.
+ */
+class JSONFile {
+    /**
+     * Class constructor.
+     * @param {object} options Method options
+     * @param {string} options.file Path to the file
+     * @param {Function} options.serialize Function returning the data to
+     * write, called right before every write
+     */
+    constructor({file, serialize}) {
+        this._file = file;
+        this._serialize = serialize;
+        this._saving = null;
+        this._dirty = false;
+    }
+    /**
+     * Reads the file.
+     * @returns {Promise<*>} Parsed file contents, or null if the file does
+     * not exist
+     */
+    async read() {
+        try {
+            return JSON.parse(await readFile(this._file, {
+                encoding: 'utf-8'
+            }));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+    /**
+     * Writes the current data to the file. Saves requested while another
+     * save is in progress are merged into it.
+     * @returns {Promise} Promise resolving once the data is written
+     */
+    save() {
+        this._dirty = true;
+        if (!this._saving) {
+            this._saving = this.#write();
+        }
+        return this._saving;
+    }
+    /**
+     * Writes the data to the file until there are no more changes.
+     * @private
+     */
+    async #write() {
+        try {
+            while (this._dirty) {
+                this._dirty = false;
+                await writeFile(
+                    `${this._file}.tmp`,
+                    JSON.stringify(this._serialize())
+                );
+                await rename(`${this._file}.tmp`, this._file);
+            }
+        } finally {
+            this._saving = null;
+        }
+    }
+}
+
+module.exports = JSONFile;
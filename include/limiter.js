@@ -0,0 +1,135 @@
+/**
+ * limiter.js
+ *
+ * Limits how often and how many tasks of a kind can run at once.
+ */
+'use strict';
+
+/**
+ * Limits concurrency and rate of asynchronous tasks.
+ */
+class RateLimiter {
+    /**
+     * Class constructor.
+     * @param {object} options Limiter options
+     * @param {number} options.concurrency Maximum amount of tasks running
+     * at the same time
+     * @param {number} options.interval Minimum amount of milliseconds
+     * between starts of two tasks
+     */
+    constructor({concurrency, interval} = {}) {
+        this._concurrency = concurrency || Infinity;
+        this._interval = interval || 0;
+        this._active = 0;
+        this._next = 0;
+        this._queue = [];
+        this._timer = null;
+    }
+    /**
+     * Creates limiters for requests made by providers and for requests to
+     * hosts they use.
+     * @param {object[]} providers Registered providers, with their default
+     * `limits` and `hosts` limits
+     * @param {object} overrides Configured limits
+     * @param {object} overrides.limits Limits keyed by provider code
+     * @param {object} overrides.hosts Limits keyed by host name
+     * @returns {object} Limiters for `providers`, keyed by provider code,
+     * and limiters for `hosts`, keyed by host name
+     * @static
+     */
+    static forProviders(providers, {limits = {}, hosts = {}} = {}) {
+        const limiters = {
+            hosts: new Map(),
+            providers: new Map()
+        };
+        for (const provider of providers) {
+            limiters.providers.set(provider.code, new RateLimiter({
+                ...provider.limits,
+                ...limits[provider.code]
+            }));
+            for (const [host, limit] of Object.entries(provider.hosts || {})) {
+                limiters.hosts.set(host, new RateLimiter({
+                    ...limit,
+                    ...hosts[host]
+                }));
+            }
+        }
+        for (const [host, limit] of Object.entries(hosts)) {
+            if (!limiters.hosts.has(host)) {
+                limiters.hosts.set(host, new RateLimiter(limit));
+            }
+        }
+        return limiters;
+    }
+    /**
+     * Runs a task once the limits allow it.
+     * @param {Function} task Function returning a promise
+     * @returns {Promise} Promise resolving with the result of the task
+     */
+    async run(task) {
+        await this.#acquire();
+        try {
+            return await task();
+        } finally {
+            --this._active;
+            this.#dequeue();
+        }
+    }
+    /**
+     * Waits until a task could start, without occupying a slot while the
+     * task is running.
+     * @returns {Promise} Promise resolving when the task can start
+     */
+    wait() {
+        return this.run(() => undefined);
+    }
+    /**
+     * Waits for a free slot.
+     * @returns {Promise} Promise resolving once a slot is taken
+     * @private
+     */
+    #acquire() {
+        return new Promise(this.#enqueue.bind(this));
+    }
+    /**
+     * Queues a waiting task and starts it if possible.
+     * @param {Function} resolve Function starting the task
+     * @private
+     */
+    #enqueue(resolve) {
+        this._queue.push(resolve);
+        this.#dequeue();
+    }
+    /**
+     * Starts as many queued tasks as the limits allow.
+     * @private
+     */
+    #dequeue() {
+        if (
+            this._timer ||
+            this._queue.length === 0 ||
+            this._active >= this._concurrency
+        ) {
+            return;
+        }
+        const delay = this._next - Date.now();
+        if (delay > 0) {
+            this._timer = setTimeout(this.#onTimer.bind(this), delay);
+            return;
+        }
+        ++this._active;
+        this._next = Date.now() + this._interval;
+        this._queue.shift()();
+        this.#dequeue();
+    }
+    /**
+     * Handles the end of the wait between two tasks.
+     * @private
+     */
+    #onTimer() {
+        this._timer = null;
+        this.#dequeue();
+    }
+}
+
+module.exports = RateLimiter;
@@ -5,70 +5,273 @@
  */
 'use strict';
 
-const {CookieJar} = require('tough-cookie');
 const {readFile} = require('fs/promises');
-const {apiQuery} = require('./util.js');
+const History = require('./history.js');
+const MediaWiki = require('./mediawiki.js');
+const MediaWikiError = require('./wikierror.js');
+
+const CATEGORY_NAMESPACE = 14;
 
 /**
  * Lists pages to update.
  */
 class Lister {
     /**
-     * Class constructor.
+     * Class constructor. At most one of `file`, `page`, `category`,
+     * `since`, `links` and `search` should be set; if none are, pages
+     * transcluding the template are listed.
      * @param {object} options Method options
-     * @param {string} options.domain Domain of the wiki whose pages we're
-     * listing
+     * @param {MediaWiki} options.wiki Client for the wiki whose pages
+     * we're listing
      * @param {boolean} options.file Whether to use a list file instead of API
+     * @param {string} options.template Template whose transclusions to list
+     * @param {number} options.namespace Namespace of pages to list
+     * @param {string} options.page Single page to list
+     * @param {string} options.category Category whose members to list
+     * @param {boolean} options.recursive Whether to also list members of
+     * subcategories
+     * @param {string} options.since Date since which changed pages to list
+     * @param {string} options.links Page whose links to list
+     * @param {string} options.search Search query whose results to list
+     * @param {number} options.limit Maximum amount of pages to list
+     * @param {History} options.history View count history, if pages whose
+     * view counts were updated least recently should be listed first
      */
-    constructor({domain, file}) {
-        this._domain = domain;
+    constructor({
+        wiki,
+        file,
+        template,
+        namespace,
+        page,
+        category,
+        recursive,
+        since,
+        links,
+        search,
+        limit,
+        history
+    }) {
+        this._wiki = wiki;
         this._file = file;
+        this._template = template;
+        this._namespace = namespace;
+        this._page = page;
+        this._category = category ?
+            `Category:${category.replace(/^Category:/iu, '')}` :
+            null;
+        this._recursive = Boolean(recursive);
+        this._since = since ? new Date(since).toISOString() : null;
+        this._links = links;
+        this._search = search;
+        this._limit = limit;
+        this._history = history;
+        this.resume(null, false);
+    }
+    /**
+     * Sets the point from which listing continues.
+     * @param {object?} continuation Continuation point, as previously
+     * returned from `continuation`, or null to list from the start
+     * @param {boolean} done Whether all pages were already listed
+     */
+    resume(continuation, done) {
+        this._continue = continuation?.continue || null;
+        this._categories = continuation?.categories ||
+            (this._category ? [this._category] : []);
+        this._seen = new Set(continuation?.seen || this._categories);
+        this._listed = continuation?.listed || 0;
+        this._done = Boolean(done);
+    }
+    /**
+     * Point from which listing would continue.
+     * @returns {object?} Continuation parameters for the API, categories
+     * left to list, categories already seen and amount of listed pages
+     */
+    get continuation() {
+        return {
+            categories: this._categories,
+            continue: this._continue,
+            listed: this._listed,
+            seen: [...this._seen]
+        };
+    }
+    /**
+     * Whether all pages were listed.
+     * @returns {boolean} Whether there are more pages to list
+     */
+    get done() {
+        return this._done;
     }
     /**
-     * Starts listing of pages.
-     * @param {CookieJar} jar Fandom cookie jar
-     * @returns {Promise} Promise to listen on for the list
+     * Lists the next batch of pages.
+     * @returns {Promise<string[]>} Promise to listen on for the list
      */
-    run(jar) {
-        this._pages = [];
+    async next() {
+        if (this._history) {
+            return this._limitList(await this._staleList());
+        }
+        return this._limitList(await this._list());
+    }
+    /**
+     * Lists the next batch of pages from the configured source.
+     * @returns {Promise<string[]>} Listed pages
+     * @private
+     */
+    _list() {
         if (this._file) {
             return this._fileList();
         }
-        return this._pageList(jar);
+        if (this._page) {
+            this._done = true;
+            return Promise.resolve([this._page]);
+        }
+        return this._pageList();
+    }
+    /**
+     * Lists all pages from the configured source, ordered so that pages
+     * whose view counts were updated least recently come first.
+     * @returns {Promise<string[]>} Listed pages
+     * @private
+     */
+    async _staleList() {
+        const pages = new Set();
+        while (!this._done) {
+            for (const page of await this._list()) {
+                pages.add(page);
+            }
+        }
+        const updated = await this._history.lastUpdated();
+        return [...pages].sort(
+            (a, b) => (updated.get(a) || '').localeCompare(updated.get(b) || '')
+        );
+    }
+    /**
+     * Limits listed pages to the configured maximum amount.
+     * @param {string[]} pages Listed pages
+     * @returns {string[]} Pages within the limit
+     * @private
+     */
+    _limitList(pages) {
+        if (!this._limit) {
+            return pages;
+        }
+        const limited = pages.slice(0, this._limit - this._listed);
+        this._listed += limited.length;
+        if (this._listed >= this._limit) {
+            this._done = true;
+        }
+        return limited;
+    }
+    /**
+     * Lists pages from the current continuation point.
+     * @returns {Promise<string[]>} Listed pages
+     * @throws {MediaWikiError} If a MediaWiki API error occurs
+     * @private
+     */
+    async _pageList() {
+        const data = await this._wiki.request('query', 'GET', {
+            ...this._params(),
+            ...this._continue
+        });
+        this._continue = data.continue || null;
+        const pages = this._titles(data);
+        if (this._category && !data.continue) {
+            this._categories.shift();
+        }
+        this._done = !data.continue && this._categories.length === 0;
+        return pages;
     }
     /**
-     * Lists pages from a specified point.
-     * @param {CookieJar} jar Fandom cookie jar
-     * @param {string} eicontinue Value to pass to eicontinue parameter
+     * Builds API parameters for listing pages from the configured source.
+     * @returns {object} API parameters
      * @private
      */
-    async _pageList(jar, eicontinue) {
-        const data = await apiQuery(this._domain, jar, 'query', 'GET', {
-            eicontinue,
+    _params() {
+        if (this._category) {
+            return {
+                cmlimit: 'max',
+                cmnamespace: this._recursive ?
+                    `${this._namespace}|${CATEGORY_NAMESPACE}` :
+                    this._namespace,
+                cmprop: 'title',
+                cmtitle: this._categories[0],
+                cmtype: this._recursive ? 'page|subcat' : 'page',
+                list: 'categorymembers'
+            };
+        }
+        if (this._since) {
+            return {
+                list: 'recentchanges',
+                rcend: this._since,
+                rclimit: 'max',
+                rcnamespace: this._namespace,
+                rcprop: 'title',
+                rctoponly: 1,
+                rctype: 'edit|new'
+            };
+        }
+        if (this._links) {
+            return {
+                pllimit: 'max',
+                plnamespace: this._namespace,
+                prop: 'links',
+                titles: this._links
+            };
+        }
+        if (this._search) {
+            return {
+                list: 'search',
+                srlimit: 'max',
+                srnamespace: this._namespace,
+                srprop: '',
+                srsearch: this._search
+            };
+        }
+        return {
             eifilterredir: 'nonredirects',
             eilimit: 'max',
-            einamespace: 0,
-            eititle: 'Template:Song box 2',
+            einamespace: this._namespace,
+            eititle: `Template:${this._template}`,
             list: 'embeddedin'
-        });
-        if (data.error) {
-            throw new Error(`MediaWiki API error: ${JSON.stringify(data.error)}`);
-        } else {
-            this._pages = [
-                ...this._pages,
-                ...data.query.embeddedin.map(p => p.title)
-            ];
-            if (data.continue) {
-                return this._pageList(jar, data.continue.eicontinue);
+        };
+    }
+    /**
+     * Extracts titles of listed pages from an API response. Subcategories
+     * found while listing category members are queued for listing.
+     * @param {object} data API response
+     * @returns {string[]} Listed pages
+     * @private
+     */
+    _titles(data) {
+        if (this._category) {
+            const pages = [];
+            for (const {ns, title} of data.query.categorymembers) {
+                if (ns !== CATEGORY_NAMESPACE) {
+                    pages.push(title);
+                } else if (!this._seen.has(title)) {
+                    this._seen.add(title);
+                    this._categories.push(title);
+                }
             }
-            return this._pages;
+            return pages;
+        }
+        if (this._since) {
+            return data.query.recentchanges.map(p => p.title);
+        }
+        if (this._links) {
+            return (data.query.pages[0].links || []).map(p => p.title);
+        }
+        if (this._search) {
+            return data.query.search.map(p => p.title);
         }
+        return data.query.embeddedin.map(p => p.title);
     }
     /**
      * Lists pages specified in a file.
+     * @returns {Promise<string[]>} Listed pages
      * @private
      */
     async _fileList() {
+        this._done = true;
         return (await readFile('list.txt', {
             encoding: 'utf-8'
         })).trim().split('\n');
@@ -11,6 +11,8 @@
  */
 const fs = require('fs');
 const path = require('path');
+const {Buffer} = require('buffer');
+const {finished} = require('stream/promises');
 
 /**
  * Constants.
@@ -18,6 +20,8 @@ const path = require('path');
 const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
 const DEFAULT_LOG_LEVEL = 'debug';
 const DEFAULT_LOG_DIRECTORY = 'logs';
+const DEFAULT_LOG_FORMAT = 'text';
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024;
 
 /**
  * Simple logging interface.
@@ -41,13 +45,15 @@ class Logger {
         this._name = name;
         this._level = level || Logger._level;
         this._console = stdout;
+        this._fields = {};
         if (file) {
-            this._stream = fs.createWriteStream(
-                path.resolve(`${dir || Logger._dir}/${name}.log`),
-                {flags: 'a'}
-            );
+            // Shared with child loggers, so they write to the same file.
+            this._output = {
+                base: path.resolve(`${dir || Logger._dir}/${name}`)
+            };
+            this._open(new Date());
         }
-        if (!this._console && !this._stream && !this._url) {
+        if (!this._console && !this._output && !this._url) {
             throw new Error('No logging route specified!');
         }
         if (debug || Logger._debug) {
@@ -59,14 +65,84 @@ class Logger {
      * @param {object} o Logger options
      * @param {string} o.level Logging level
      * @param {string} o.dir Logging directory
+     * @param {string} o.format Format of log files, `text` or `json` for
+     * one JSON object per line
+     * @param {string} o.rotate When to start new log files, `date` for
+     * every day, `size` when they grow too large or `none` to always log to
+     * the same file
+     * @param {number} o.maxSize Size in bytes above which log files are
+     * rotated when rotating by size
      * @param {boolean} debug Whether debug mode is enabled
      * @static
      */
-    static setup({level, dir}, debug) {
+    static setup({level, dir, format, rotate, maxSize}, debug) {
         this._level = LOG_LEVELS.indexOf(level || DEFAULT_LOG_LEVEL);
         this._dir = dir || DEFAULT_LOG_DIRECTORY;
+        this._format = format || DEFAULT_LOG_FORMAT;
+        this._rotate = rotate;
+        this._maxSize = maxSize || DEFAULT_MAX_SIZE;
         this._debug = debug;
     }
+    /**
+     * Creates a logger adding fields to every entry, such as the page or
+     * video being processed. Fields are only written to JSON log files.
+     * @param {object} fields Fields to add
+     * @returns {Logger} Logger sharing the log file of this logger
+     */
+    child(fields) {
+        const child = Object.create(this);
+        child._fields = {
+            ...this._fields,
+            ...fields
+        };
+        return child;
+    }
+    /**
+     * Opens the log file for appending. When rotating by date, each day has
+     * its own log file, and when rotating by size, each log file is named
+     * after the time it was started.
+     * @param {Date} now Current time
+     * @private
+     */
+    _open(now) {
+        const output = this._output;
+        const date = this._formatDate(now);
+        let file = `${output.base}.log`;
+        if (Logger._rotate === 'date') {
+            file = `${output.base}-${date}.log`;
+        } else if (Logger._rotate === 'size') {
+            file = `${output.base}-${date}-${this._pad(now.getHours())}${this._pad(now.getMinutes())}${this._pad(now.getSeconds())}${String(now.getMilliseconds()).padStart(3, 0)}.log`;
+        }
+        output.date = date;
+        output.size = 0;
+        output.stream = fs.createWriteStream(file, {flags: 'a'});
+    }
+    /**
+     * Starts a new log file, if it is time to.
+     * @param {Date} now Current time
+     * @private
+     */
+    _rotateFile(now) {
+        const output = this._output;
+        if (
+            Logger._rotate === 'date' &&
+            output.date !== this._formatDate(now) ||
+            Logger._rotate === 'size' &&
+            output.size >= Logger._maxSize
+        ) {
+            output.stream.end();
+            this._open(now);
+        }
+    }
+    /**
+     * Formats a date as used in names of rotated log files.
+     * @param {Date} date Date to format
+     * @returns {string} Date in the YYYY-MM-DD format
+     * @private
+     */
+    _formatDate(date) {
+        return `${date.getFullYear()}-${this._pad(date.getMonth() + 1)}-${this._pad(date.getDate())}`;
+    }
     /**
      * Formats a console color based on color number.
      * @param {number} num Color number
@@ -128,10 +204,43 @@ class Logger {
             // eslint-disable-next-line no-console
             console[level](`${this._color(34)}[${this._name}]${this._color(2)}[${date} ${time}]${this._color(0)} ${levelColor}[${logLevel}]${this._color(0)}`, ...messages);
         }
-        if (this._stream) {
-            this._stream.write(`[${date} ${time}] [${logLevel}] ${str}\n`);
+        if (this._output) {
+            const line = Logger._format === 'json' ?
+                `${this._json(level, now, messages)}\n` :
+                `[${date} ${time}] [${logLevel}] ${str}\n`;
+            this._rotateFile(now);
+            this._output.stream.write(line);
+            this._output.size += Buffer.byteLength(line);
         }
     }
+    /**
+     * Formats a log entry as JSON.
+     * @param {string} level Log level
+     * @param {Date} now Time of the entry
+     * @param {any[]} messages Messages to log
+     * @returns {string} JSON log entry
+     * @private
+     */
+    _json(level, now, messages) {
+        const entry = {
+            level,
+            logger: this._name,
+            message: messages.map(this._mapFile).join(' '),
+            time: now.toISOString(),
+            ...this._fields
+        };
+        const error = messages.find(msg => msg instanceof Error);
+        if (error) {
+            entry.error = {
+                class: error.name,
+                code: error.code,
+                message: error.message,
+                stack: error.stack,
+                status: error.response?.statusCode
+            };
+        }
+        return JSON.stringify(entry);
+    }
     /**
      * Maps objects to how they should be represented in logfiles.
      * @param {*} msg Message to map
@@ -150,6 +259,13 @@ class Logger {
             case 'undefined':
                 return 'undefined';
             default:
+                if (msg instanceof Error) {
+                    return String(msg);
+                }
+                if (typeof msg?.statusCode === 'number' && msg.requestUrl) {
+                    // HTTP response, whose body and headers are not useful.
+                    return `HTTP ${msg.statusCode} ${msg.requestUrl}`;
+                }
                 try {
                     return JSON.stringify(msg);
                 } catch (_) {
@@ -157,6 +273,17 @@ class Logger {
                 }
         }
     }
+    /**
+     * Closes the log file of this logger and its child loggers.
+     * @returns {Promise} Promise resolving once all entries are written
+     */
+    close() {
+        if (!this._output) {
+            return Promise.resolve();
+        }
+        this._output.stream.end();
+        return finished(this._output.stream);
+    }
     /**
      * Debugs specified messages.
      * @param {string[]} messages Messages to debug
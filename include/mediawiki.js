@@ -0,0 +1,239 @@
+/**
+ * mediawiki.js
+ *
+ * Client for the MediaWiki API that retries failed requests.
+ */
+'use strict';
+
+const http = require('got');
+const {setTimeout: sleep} = require('timers/promises');
+const MediaWikiError = require('./wikierror.js');
+
+const RETRY_STATUS_CODES = [429, 500, 502, 503, 504];
+const RETRY_NETWORK_CODES = [
+    'EAI_AGAIN',
+    'ECONNREFUSED',
+    'ECONNRESET',
+    'EPIPE',
+    'ETIMEDOUT'
+];
+const RETRY_API_CODES = [
+    'maxlag',
+    'ratelimited',
+    'readonly'
+];
+const SESSION_API_CODES = [
+    'assertuserfailed',
+    'assertbotfailed',
+    'notloggedin'
+];
+
+/**
+ * Checks whether a failed HTTP request should be retried.
+ * @param {Error} error Error thrown by the HTTP client
+ * @returns {boolean} Whether the request should be retried
+ */
+function isRetryable(error) {
+    return RETRY_STATUS_CODES.includes(error?.response?.statusCode) ||
+        RETRY_NETWORK_CODES.includes(error?.code);
+}
+
+/**
+ * Reads how long the server asked to wait before retrying.
+ * @param {object?} response HTTP response
+ * @returns {number?} Milliseconds to wait, or null if not specified
+ */
+function retryAfter(response) {
+    const seconds = Number(response?.headers?.['retry-after']);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+/**
+ * Client for the MediaWiki API of a wiki.
+ */
+class MediaWiki {
+    /**
+     * Class constructor.
+     * @param {object} options Method options
+     * @param {string} options.url URL of the wiki's API
+     * @param {string} options.userAgent User agent for API requests
+     * @param {Function} options.login Function logging in again when the
+     * session expires, resolving to a new session
+     * @param {number} options.maxlag Maximum replication lag in seconds
+     * before the API should refuse requests
+     * @param {number} options.retries How many times to retry a request
+     * @param {number} options.retryDelay Milliseconds to wait before the
+     * first retry, doubled with every retry after it
+     */
+    constructor({
+        url,
+        userAgent,
+        login,
+        maxlag = 5,
+        retries = 5,
+        retryDelay = 1000
+    }) {
+        this._url = url;
+        this._userAgent = userAgent;
+        this._login = login;
+        this._maxlag = maxlag;
+        this._retries = retries;
+        this._retryDelay = retryDelay;
+        this._session = null;
+        this._csrfToken = null;
+    }
+    /**
+     * Sets the logged in session used in requests.
+     * @param {object} session Wiki session, with a cookie `jar` or an
+     * OAuth `accessToken`
+     */
+    setSession(session) {
+        this._session = session;
+        this._csrfToken = null;
+    }
+    /**
+     * Queries the MediaWiki API, retrying if the request fails for
+     * temporary reasons and logging in again if the session expired.
+     * @param {string} action API action to execute
+     * @param {string} method HTTP method to use
+     * @param {object} params API request parameters
+     * @returns {Promise<object>} API response
+     * @throws {MediaWikiError} If the API returns an error
+     */
+    async request(action, method, params) {
+        let loggedIn = false;
+        for (let attempt = 0; ; ++attempt) {
+            let data = null;
+            try {
+                data = await this.#send(action, method, params);
+            } catch (error) {
+                if (attempt >= this._retries || !isRetryable(error)) {
+                    throw error;
+                }
+                await this.#backoff(attempt, retryAfter(error.response));
+                continue;
+            }
+            if (!data.error) {
+                return data;
+            }
+            const {code, info, lag} = data.error;
+            if (SESSION_API_CODES.includes(code) && this._login && !loggedIn) {
+                loggedIn = true;
+                this.setSession(await this._login());
+                continue;
+            }
+            if (!RETRY_API_CODES.includes(code) || attempt >= this._retries) {
+                throw new MediaWikiError(code, info);
+            }
+            await this.#backoff(attempt, lag ? lag * 1000 : null);
+        }
+    }
+    /**
+     * Queries the MediaWiki API using the query action.
+     * @param {object} params API request parameters
+     * @returns {Promise<object>} Query results
+     */
+    async query(params) {
+        return (await this.request('query', 'GET', params)).query;
+    }
+    /**
+     * Gets a CSRF token, reusing the previous one if there is one.
+     * @returns {Promise<string>} CSRF token
+     */
+    async token() {
+        if (!this._csrfToken) {
+            const {tokens} = await this.query({
+                meta: 'tokens',
+                type: 'csrf'
+            });
+            this._csrfToken = tokens.csrftoken;
+        }
+        return this._csrfToken;
+    }
+    /**
+     * Edits a page. If `basetimestamp` and `starttimestamp` are specified
+     * and somebody else edited the page in the meantime, the edit fails
+     * with an `editconflict` error instead of overwriting their edit.
+     * @param {object} params Edit parameters, such as `title`, `text`,
+     * `summary`, `basetimestamp` and `starttimestamp`
+     * @returns {Promise<object>} Edit result
+     * @throws {MediaWikiError} If the edit fails
+     */
+    async edit(params) {
+        try {
+            return await this.#edit(params);
+        } catch (error) {
+            if (error.code !== 'badtoken') {
+                throw error;
+            }
+            this._csrfToken = null;
+            return this.#edit(params);
+        }
+    }
+    /**
+     * Edits a page using the current CSRF token.
+     * @param {object} params Edit parameters
+     * @returns {Promise<object>} Edit result
+     * @private
+     */
+    async #edit(params) {
+        const data = await this.request('edit', 'POST', {
+            ...params,
+            token: await this.token()
+        });
+        if (data.edit.result !== 'Success') {
+            throw new MediaWikiError(
+                'editfailed',
+                JSON.stringify(data.edit)
+            );
+        }
+        return data.edit;
+    }
+    /**
+     * Sends a single request to the MediaWiki API.
+     * @param {string} action API action to execute
+     * @param {string} method HTTP method to use
+     * @param {object} params API request parameters
+     * @returns {Promise<object>} API response
+     * @private
+     */
+    #send(action, method, params) {
+        return http({
+            cookieJar: this._session?.jar,
+            headers: {
+                'User-Agent': this._userAgent,
+                ...this._session?.accessToken ?
+                    {Authorization: `Bearer ${this._session.accessToken}`} :
+                    {}
+            },
+            method,
+            retry: {
+                limit: 0
+            },
+            url: this._url,
+            [method === 'POST' ? 'form' : 'searchParams']: Object.fromEntries(
+                Object.entries({
+                    action,
+                    assert: this._session ? 'user' : undefined,
+                    cb: Date.now(),
+                    format: 'json',
+                    formatversion: 2,
+                    maxlag: this._maxlag,
+                    ...params
+                }).filter(([, value]) => value !== undefined)
+            )
+        }).json();
+    }
+    /**
+     * Waits before retrying a request.
+     * @param {number} attempt How many times the request was retried
+     * @param {number?} delay Milliseconds the server asked to wait
+     * @returns {Promise} Promise resolving once it is time to retry
+     * @private
+     */
+    #backoff(attempt, delay) {
+        return sleep(Math.max(delay || 0, this._retryDelay * 2 ** attempt));
+    }
+}
+
+module.exports = MediaWiki;
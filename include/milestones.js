@@ -0,0 +1,135 @@
+/**
+ * milestones.js
+ *
+ * Detects view count milestones and marks pages that reached them.
+ */
+'use strict';
+
+const {appendFile, mkdir} = require('fs/promises');
+const path = require('path');
+const {commafy} = require('./views.js');
+const {addCategory, findTemplates} = require('./wikitext.js');
+
+const DEFAULT_REPORT_FILE = 'reports/milestones.md';
+const DEFAULT_RULES = [
+    {
+        category: 'Songs in the Hall of Fame',
+        name: 'Hall of Fame',
+        provider: 'nn',
+        threshold: 100000
+    },
+    {
+        category: 'Songs in the Hall of Legend',
+        name: 'Hall of Legend',
+        provider: 'nn',
+        threshold: 1000000
+    }
+];
+
+/**
+ * Detects milestones crossed by updated view counts.
+ */
+class Milestones {
+    /**
+     * Class constructor.
+     * @param {object} options Method options
+     * @param {object[]} options.rules Milestone rules, each with a `name`,
+     * the `provider` code, the view count `threshold` and the `category`
+     * or `template` to add to pages that cross it
+     * @param {string} options.report Path to the milestones report
+     */
+    constructor({rules, report} = {}) {
+        this._rules = rules || DEFAULT_RULES;
+        this._report = report || DEFAULT_REPORT_FILE;
+    }
+    /**
+     * Validates milestone rules.
+     * @param {object[]} rules Milestone rules
+     * @throws {Error} If the rules are invalid
+     * @static
+     */
+    static validate(rules) {
+        if (!Array.isArray(rules)) {
+            throw new Error('Milestone rules must be an array!');
+        }
+        for (const rule of rules) {
+            if (
+                typeof rule.name !== 'string' ||
+                typeof rule.provider !== 'string' ||
+                !Number.isInteger(rule.threshold) ||
+                !rule.category && !rule.template
+            ) {
+                throw new Error(`Invalid milestone rule: ${JSON.stringify(rule)}`);
+            }
+        }
+    }
+    /**
+     * Finds milestones crossed by view count changes and adds the
+     * matching categories and templates to page content.
+     * @param {string} content Page content
+     * @param {object[]} changes Changed view counts, with `provider`, `id`,
+     * `oldCount` and `newCount`
+     * @returns {object} New page `content` and crossed milestone `events`
+     */
+    apply(content, changes) {
+        let newContent = content;
+        const events = [];
+        for (const change of changes) {
+            for (const rule of this._rules) {
+                if (
+                    rule.provider === change.provider &&
+                    change.oldCount < rule.threshold &&
+                    change.newCount >= rule.threshold
+                ) {
+                    events.push({
+                        ...change,
+                        rule
+                    });
+                    newContent = this.#mark(newContent, rule);
+                }
+            }
+        }
+        return {
+            content: newContent,
+            events
+        };
+    }
+    /**
+     * Adds the category or template of a milestone to page content, unless
+     * the page already has it.
+     * @param {string} content Page content
+     * @param {object} rule Crossed milestone rule
+     * @returns {string} Page content with the category or template
+     * @private
+     */
+    #mark(content, rule) {
+        let newContent = content;
+        if (
+            rule.template &&
+            findTemplates(content, rule.template).length === 0
+        ) {
+            newContent = `{{${rule.template}}}\n${newContent}`;
+        }
+        if (rule.category) {
+            newContent = addCategory(newContent, rule.category);
+        }
+        return newContent;
+    }
+    /**
+     * Logs crossed milestones to the milestones report.
+     * @param {string} title Title of the page where milestones were crossed
+     * @param {object[]} events Crossed milestones, as returned by `apply`
+     */
+    async log(title, events) {
+        if (events.length === 0) {
+            return;
+        }
+        const date = new Date().toISOString().slice(0, 10);
+        await mkdir(path.dirname(this._report), {
+            recursive: true
+        });
+        await appendFile(this._report, events.map(({id, provider, newCount, rule}) => `- ${date}: [[${title}]] reached ${rule.name} (${commafy(rule.threshold)} views on ${provider} video ${id}, now ${commafy(newCount)})\n`).join(''));
+    }
+}
+
+module.exports = Milestones;
@@ -0,0 +1,96 @@
+/**
+ * monitor.js
+ *
+ * Keeps track of recent edits and lets a run be paused from the dashboard.
+ */
+'use strict';
+
+const DryRunReport = require('./report.js');
+
+const DEFAULT_MAX_EDITS = 50;
+
+/**
+ * Monitor of a run, which can pause it.
+ */
+class RunMonitor {
+    /**
+     * Class constructor.
+     * @param {object} options Method options
+     * @param {number} options.maxEdits How many recent edits to keep
+     */
+    constructor({maxEdits} = {}) {
+        this._maxEdits = maxEdits || DEFAULT_MAX_EDITS;
+        this._edits = [];
+        this._paused = null;
+        this._resume = null;
+    }
+    /**
+     * Whether the run is paused.
+     * @returns {boolean} Whether workers wait before processing more pages
+     */
+    get paused() {
+        return this._paused !== null;
+    }
+    /**
+     * Recent edits, the newest first.
+     * @returns {object[]} Edited pages, with their `title`, changed view
+     * counts, unified `diff`, whether the edit was only reported in a
+     * `dryRun` and the `time` of the edit
+     */
+    get edits() {
+        return this._edits;
+    }
+    /**
+     * Pauses the run once pages being processed are done.
+     */
+    pause() {
+        if (!this._paused) {
+            this._paused = new Promise(this.#onPause.bind(this));
+        }
+    }
+    /**
+     * Resumes a paused run.
+     */
+    resume() {
+        if (this._paused) {
+            this._resume();
+            this._paused = null;
+            this._resume = null;
+        }
+    }
+    /**
+     * Waits until the run is resumed, if it is paused.
+     * @returns {Promise} Promise resolving once the run is not paused
+     */
+    wait() {
+        return this._paused || Promise.resolve();
+    }
+    /**
+     * Records an edit made, or reported in a dry run.
+     * @param {string} title Page title
+     * @param {string} oldContent Previous page content
+     * @param {string} newContent New page content
+     * @param {object[]} changes Changed view counts
+     * @param {boolean} dryRun Whether the edit was only reported
+     */
+    edited(title, oldContent, newContent, changes, dryRun) {
+        this._edits.unshift({
+            changes,
+            diff: DryRunReport.diff(title, oldContent, newContent),
+            dryRun,
+            time: new Date().toISOString(),
+            title
+        });
+        this._edits.splice(this._maxEdits);
+    }
+    /**
+     * Keeps the function resolving the pause.
+     * @param {Function} resolve Function resuming the run
+     * @private
+     */
+    #onPause(resolve) {
+        this._resume = resolve;
+    }
+}
+
+module.exports = RunMonitor;
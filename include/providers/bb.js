@@ -0,0 +1,103 @@
+/**
+ * bb.js
+ *
+ * Provides view counts of bilibili videos.
+ */
+'use strict';
+
+const {parse} = require('node-html-parser');
+const {VideoUnavailableError} = require('../errors.js');
+
+const API_URL = 'https://api.bilibili.com/x/web-interface/view';
+const UNAVAILABLE_CODES = [-404, 62002, 62004];
+
+/**
+ * Fetches bilibili video view count from the bilibili API.
+ * @param {string} id Video ID, either a BV ID or an AV ID
+ * @param {Function} http HTTP client to use
+ * @returns {Promise<number>} Current view count of the video
+ * @throws {VideoUnavailableError} If the video was not found
+ * @throws {Error} If the API returned an error
+ */
+async function fetchFromAPI(id, http) {
+    const response = await http.get(API_URL, {
+        searchParams: (/^bv/iu).test(id) ?
+            {bvid: id} :
+            {aid: id.replace(/^av/iu, '')}
+    }).json();
+    if (UNAVAILABLE_CODES.includes(response.code)) {
+        throw new VideoUnavailableError('bb', id, response.message);
+    }
+    const views = response.data?.stat?.view;
+    if (response.code !== 0 || !Number.isFinite(views)) {
+        throw new Error(`[bb] API error for ${id}: ${response.code} ${response.message}`);
+    }
+    return views;
+}
+
+/**
+ * Fetches bilibili video view count from LD-JSON data on the video page.
+ * @param {string} id Video ID
+ * @param {Function} scraper HTTP client to use for scraping
+ * @returns {Promise<number>} Current view count of the video
+ * @throws {VideoUnavailableError} If the video was not found
+ * @throws {Error} If the view count could not be found
+ */
+async function fetchFromPage(id, scraper) {
+    let response = null;
+    try {
+        response = await scraper.get(`https://www.bilibili.com/video/${id}/`).text();
+    } catch (error) {
+        throw VideoUnavailableError.wrap('bb', id, error);
+    }
+    const tree = parse(response, {script: true});
+    const script = tree.querySelector('script[type="application/ld+json"]');
+    if (!script) {
+        throw new Error(`Cannot find Bilibili LD-JSON data for ${id}!`);
+    }
+    const data = JSON.parse(script.innerHTML);
+    if (data.interactionStatistic?.userInteractionCount) {
+        return data.interactionStatistic.userInteractionCount;
+    }
+    throw new Error(`No bilibili view count: ${JSON.stringify(response)}`);
+}
+
+module.exports = {
+    auth: null,
+    code: 'bb',
+    /**
+     * Fetches bilibili video view count, from the video page if the API
+     * fails.
+     * @param {string} id Video ID
+     * @param {object} context Provider context
+     * @param {Function} context.http HTTP client to use
+     * @param {Function} context.scraper HTTP client to use for scraping
+     * @param {number} context.views Currently registered page views
+     * @returns {Promise<number>} Current view count of the video
+     * @throws {VideoUnavailableError} If the video was not found
+     * @throws {Error} If the view count could not be found
+     */
+    async fetchViews(id, {http, scraper, views}) {
+        if (id.startsWith('au')) {
+            // Audio page, ignore.
+            return views;
+        }
+        try {
+            return await fetchFromAPI(id, http);
+        } catch (error) {
+            if (error instanceof VideoUnavailableError) {
+                throw error;
+            }
+            return fetchFromPage(id, scraper);
+        }
+    },
+    hosts: {
+        'api.bilibili.com': {
+            interval: 1000
+        },
+        'www.bilibili.com': {
+            interval: 3000
+        }
+    },
+    name: 'bilibili'
+};
@@ -0,0 +1,126 @@
+/**
+ * nn.js
+ *
+ * Provides view counts and other statistics of Niconico videos.
+ */
+'use strict';
+
+const xmlparser = require('xml-parser');
+const {VideoUnavailableError} = require('../errors.js');
+
+const UNAVAILABLE_CODES = ['COMMUNITY', 'DELETED', 'NOT_FOUND'];
+
+/**
+ * Generates a tracking ID the watch API requires with every request.
+ * @returns {string} Action tracking ID
+ */
+function actionTrackId() {
+    const random = Math.random()
+        .toString(36)
+        .slice(2, 12)
+        .padEnd(10, '0');
+    return `${random}_${Date.now()}`;
+}
+
+/**
+ * Fetches Niconico video statistics from the watch API.
+ * @param {string} id Video ID
+ * @param {Function} http HTTP client to use
+ * @returns {Promise<object>} Current `views`, `comments`, `mylists` and
+ * `likes` of the video
+ * @throws {Error} If the API request failed
+ */
+async function fetchFromAPI(id, http) {
+    const {data} = await http.get(`https://www.nicovideo.jp/api/watch/v3_guest/${id}`, {
+        headers: {
+            'X-Frontend-Id': 6,
+            'X-Frontend-Version': 0
+        },
+        searchParams: {
+            actionTrackId: actionTrackId()
+        }
+    }).json();
+    const count = data?.video?.count;
+    if (!Number.isFinite(count?.view)) {
+        throw new Error(`[nn] No view count for ${id}`);
+    }
+    return {
+        comments: count.comment,
+        likes: count.like,
+        mylists: count.mylist,
+        views: count.view
+    };
+}
+
+/**
+ * Fetches Niconico video statistics from the legacy thumbnail info API.
+ * @param {string} id Video ID
+ * @param {Function} http HTTP client to use
+ * @returns {Promise<object>} Current `views`, `comments` and `mylists` of
+ * the video
+ * @throws {VideoUnavailableError} If the video is unavailable
+ * @throws {Error} If the view count could not be found
+ */
+async function fetchFromThumbInfo(id, http) {
+    const response = await http.get(`https://ext.nicovideo.jp/api/getthumbinfo/${id}`).text();
+    const [{children}] = xmlparser(response).root.children;
+    const counter = name => children.find(c => c.name === name)?.content;
+    if (counter('view_counter')) {
+        return {
+            comments: Number(counter('comment_num')),
+            mylists: Number(counter('mylist_counter')),
+            views: Number(counter('view_counter'))
+        };
+    }
+    const code = children.find(c => c.name === 'code');
+    if (code && UNAVAILABLE_CODES.includes(code.content)) {
+        throw new VideoUnavailableError('nn', id, code.content);
+    }
+    throw new Error(`[nn] unavailable video ${id}`);
+}
+
+/**
+ * Fetches Niconico video statistics, from the thumbnail info API if
+ * the watch API fails, such as for community-only or deleted videos.
+ * @param {string} id Video ID
+ * @param {object} context Provider context
+ * @param {Function} context.http HTTP client to use
+ * @returns {Promise<object>} Current `views`, `comments` and `mylists`
+ * of the video, and `likes` if the watch API returned them
+ * @throws {VideoUnavailableError} If the video is unavailable
+ * @throws {Error} If the view count could not be found
+ */
+async function fetchStats(id, {http}) {
+    try {
+        return await fetchFromAPI(id, http);
+    } catch (_) {
+        // The thumbnail info API also tells why videos are unavailable.
+        return fetchFromThumbInfo(id, http);
+    }
+}
+
+module.exports = {
+    auth: null,
+    code: 'nn',
+    fetchStats,
+    /**
+     * Fetches Niconico video view count.
+     * @param {string} id Video ID
+     * @param {object} context Provider context
+     * @returns {Promise<number>} Current view count of the video
+     * @throws {VideoUnavailableError} If the video is unavailable
+     * @throws {Error} If the view count could not be found
+     */
+    async fetchViews(id, context) {
+        return (await fetchStats(id, context)).views;
+    },
+    hosts: {
+        'ext.nicovideo.jp': {
+            interval: 1000
+        },
+        'www.nicovideo.jp': {
+            interval: 1000
+        }
+    },
+    name: 'Niconico'
+};
@@ -0,0 +1,43 @@
+/**
+ * pp.js
+ *
+ * Provides view counts of Piapro works.
+ */
+'use strict';
+
+const {VideoUnavailableError} = require('../errors.js');
+
+const PIAPRO_REGEX = /<span>閲覧数：<\/span>([\d,]+)/u;
+
+module.exports = {
+    auth: null,
+    code: 'pp',
+    /**
+     * Fetches view count of a Piapro video.
+     * @param {string} id Video ID
+     * @param {object} context Provider context
+     * @param {Function} context.scraper HTTP client to use for scraping
+     * @returns {Promise<number>} Current view count of the video
+     * @throws {VideoUnavailableError} If the work was not found
+     * @throws {Error} If the view count could not be found
+     */
+    async fetchViews(id, {scraper}) {
+        let response = null;
+        try {
+            response = await scraper.get(`https://piapro.jp/t/${id}`).text();
+        } catch (error) {
+            throw VideoUnavailableError.wrap('pp', id, error);
+        }
+        const res = PIAPRO_REGEX.exec(response);
+        if (res) {
+            return Number(res[1].replace(/,/gu, ''));
+        }
+        throw new Error('[piapro] Unable to find view count');
+    },
+    hosts: {
+        'piapro.jp': {
+            interval: 1000
+        }
+    },
+    name: 'Piapro'
+};
@@ -0,0 +1,159 @@
+/**
+ * sc.js
+ *
+ * Provides play counts of SoundCloud tracks.
+ */
+'use strict';
+
+const {parse} = require('node-html-parser');
+const {VideoUnavailableError} = require('../errors.js');
+
+/**
+ * Promise resolving to the client ID of the SoundCloud web app, created
+ * when the client ID is first needed.
+ */
+let clientIdRequest = null;
+
+/**
+ * Finds the client ID the SoundCloud web app uses for its API, in the
+ * scripts loaded by the SoundCloud home page.
+ * @param {Function} scraper HTTP client to use for scraping
+ * @returns {Promise<string>} SoundCloud client ID
+ * @throws {Error} If the client ID could not be found
+ */
+async function findClientId(scraper) {
+    const page = parse(await scraper.get('https://soundcloud.com/').text());
+    const scripts = page.querySelectorAll('script[src]')
+        .map(script => script.getAttribute('src'))
+        .filter(src => src.includes('sndcdn.com'))
+        .reverse();
+    for (const src of scripts) {
+        const match = (/client_id\s*:\s*"(\w+)"/u)
+            .exec(await scraper.get(src).text());
+        if (match) {
+            return match[1];
+        }
+    }
+    throw new Error('Cannot find SoundCloud client ID!');
+}
+
+/**
+ * Gets the client ID of the SoundCloud web app, finding it if needed.
+ * @param {Function} scraper HTTP client to use for scraping
+ * @returns {Promise<string>} SoundCloud client ID
+ */
+function getClientId(scraper) {
+    if (!clientIdRequest) {
+        clientIdRequest = findClientId(scraper);
+    }
+    return clientIdRequest;
+}
+
+/**
+ * Forgets the client ID of the SoundCloud web app, so it is found again
+ * the next time it is needed.
+ */
+function resetClientId() {
+    clientIdRequest = null;
+}
+
+/**
+ * Fetches play count of a SoundCloud track from the SoundCloud API.
+ * @param {string} id SoundCloud track ID
+ * @param {object} context Provider context
+ * @param {Function} context.http HTTP client to use
+ * @param {Function} context.scraper HTTP client to use for scraping
+ * @returns {Promise<number>} Current play count of the track
+ * @throws {Error} If the API request failed
+ */
+async function fetchFromAPI(id, {http, scraper}) {
+    let track = null;
+    try {
+        track = await http.get('https://api-v2.soundcloud.com/resolve', {
+            searchParams: {
+                // eslint-disable-next-line camelcase
+                client_id: await getClientId(scraper),
+                url: `https://soundcloud.com/${id}`
+            }
+        }).json();
+    } catch (error) {
+        if (error?.response?.statusCode !== 404) {
+            // The client ID might have expired, find a new one next time.
+            resetClientId();
+        }
+        throw error;
+    }
+    if (!Number.isFinite(track.playback_count)) {
+        throw new Error(`[sc] No play count for ${id}`);
+    }
+    return track.playback_count;
+}
+
+/**
+ * Fetches play count of a SoundCloud track from data embedded in the
+ * track page.
+ * @param {string} id SoundCloud track ID
+ * @param {Function} scraper HTTP client to use for scraping
+ * @returns {Promise<number>} Current play count of the track
+ * @throws {VideoUnavailableError} If the track was not found
+ * @throws {Error} If the track data could not be parsed
+ */
+async function fetchFromPage(id, scraper) {
+    try {
+        const response = await scraper.get(`https://soundcloud.com/${id}`).text();
+        const parsed = parse(response, {script: true});
+        const scripts = parsed.querySelectorAll('script:not([src])');
+        const content = scripts[scripts.length - 1].innerHTML;
+        const json = content.slice(
+            content.indexOf('[{'),
+            content.lastIndexOf('}]') + 2
+        );
+        try {
+            const parsedJson = JSON.parse(json);
+            return parsedJson
+                .find(obj => obj.hydratable === 'sound')
+                .data
+                .playback_count;
+        } catch (jsonError) {
+            throw new Error(`SoundCloud JSON parsing error: ${jsonError}`);
+        }
+    } catch (error) {
+        throw VideoUnavailableError.wrap('sc', id, error);
+    }
+}
+
+module.exports = {
+    auth: null,
+    code: 'sc',
+    /**
+     * Fetches view count of a SoundCloud track, from the track page if the
+     * API fails.
+     * @param {string} id SoundCloud track ID
+     * @param {object} context Provider context
+     * @param {Function} context.http HTTP client to use
+     * @param {Function} context.scraper HTTP client to use for scraping
+     * @returns {Promise<number>} Current play count of the track
+     * @throws {VideoUnavailableError} If the track was not found
+     * @throws {Error} If the track data could not be parsed
+     */
+    async fetchViews(id, context) {
+        try {
+            return await fetchFromAPI(id, context);
+        } catch (error) {
+            const wrapped = VideoUnavailableError.wrap('sc', id, error);
+            if (wrapped instanceof VideoUnavailableError) {
+                throw wrapped;
+            }
+            return fetchFromPage(id, context.scraper);
+        }
+    },
+    hosts: {
+        'api-v2.soundcloud.com': {
+            interval: 1000
+        },
+        'soundcloud.com': {
+            interval: 1000
+        }
+    },
+    name: 'SoundCloud'
+};
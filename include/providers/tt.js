@@ -0,0 +1,76 @@
+/**
+ * tt.js
+ *
+ * Provides play counts of TikTok videos.
+ */
+'use strict';
+
+const {parse} = require('node-html-parser');
+const {VideoUnavailableError} = require('../errors.js');
+
+const UNAVAILABLE_CODES = {
+    10204: 'not found',
+    10216: 'private'
+};
+
+/**
+ * Builds the URL of a TikTok video page.
+ * @param {string} id Numeric video ID, or the video path such as
+ * `@user/video/123`
+ * @returns {string} URL of the video page
+ */
+function videoUrl(id) {
+    if ((/^\d+$/u).test(id)) {
+        // TikTok redirects to the right user when the user is omitted.
+        return `https://www.tiktok.com/@/video/${id}`;
+    }
+    return `https://www.tiktok.com/${id}`;
+}
+
+module.exports = {
+    auth: null,
+    code: 'tt',
+    /**
+     * Fetches play count of a TikTok video from data embedded in the video
+     * page.
+     * @param {string} id Video ID
+     * @param {object} context Provider context
+     * @param {Function} context.scraper HTTP client to use for scraping
+     * @returns {Promise<number>} Current play count of the video
+     * @throws {VideoUnavailableError} If the video was not found
+     * @throws {Error} If the play count could not be found
+     */
+    async fetchViews(id, {scraper}) {
+        let response = null;
+        try {
+            response = await scraper.get(videoUrl(id)).text();
+        } catch (error) {
+            throw VideoUnavailableError.wrap('tt', id, error);
+        }
+        const script = parse(response, {script: true})
+            .querySelector('script#__UNIVERSAL_DATA_FOR_REHYDRATION__');
+        if (!script) {
+            throw new Error(`[tt] Cannot find video data for ${id}`);
+        }
+        const detail = JSON.parse(script.innerHTML)
+            .__DEFAULT_SCOPE__?.['webapp.video-detail'];
+        if (UNAVAILABLE_CODES[detail?.statusCode]) {
+            throw new VideoUnavailableError(
+                'tt',
+                id,
+                UNAVAILABLE_CODES[detail.statusCode]
+            );
+        }
+        const views = detail?.itemInfo?.itemStruct?.stats?.playCount;
+        if (!Number.isFinite(views)) {
+            throw new Error(`[tt] No play count for ${id}: ${detail?.statusMsg}`);
+        }
+        return views;
+    },
+    hosts: {
+        'www.tiktok.com': {
+            interval: 3000
+        }
+    },
+    name: 'TikTok'
+};
@@ -0,0 +1,70 @@
+/**
+ * tw.js
+ *
+ * Provides view counts of videos posted on X (formerly Twitter).
+ */
+'use strict';
+
+const {VideoUnavailableError} = require('../errors.js');
+
+const API_URL = 'https://cdn.syndication.twimg.com/tweet-result';
+
+/**
+ * Generates the token the embedded post API requires for a post.
+ * @param {string} id Post ID
+ * @returns {string} Token for the post
+ */
+function postToken(id) {
+    return (Number(id) / 1e15 * Math.PI)
+        .toString(36)
+        .replace(/(?:0+|\.)/gu, '');
+}
+
+module.exports = {
+    auth: null,
+    code: 'tw',
+    /**
+     * Fetches view count of a video posted on X, using the API embedded
+     * posts are loaded from.
+     * @param {string} id Post ID, or the post path such as
+     * `user/status/123`
+     * @param {object} context Provider context
+     * @param {Function} context.http HTTP client to use
+     * @returns {Promise<number>} Current view count of the video
+     * @throws {VideoUnavailableError} If the post was not found
+     * @throws {Error} If the post has no video view count
+     */
+    async fetchViews(id, {http}) {
+        const [postId] = (/\d+$/u).exec(id) || [id];
+        let post = null;
+        try {
+            post = await http.get(API_URL, {
+                searchParams: {
+                    id: postId,
+                    token: postToken(postId)
+                }
+            }).json();
+        } catch (error) {
+            throw VideoUnavailableError.wrap('tw', id, error);
+        }
+        // Deleted, suspended and age-restricted posts are tombstones.
+        if (post.__typename === 'TweetTombstone') {
+            throw new VideoUnavailableError(
+                'tw',
+                id,
+                post.tombstone?.text?.text || 'removed'
+            );
+        }
+        const views = post.video?.viewCount;
+        if (!Number.isFinite(views)) {
+            throw new Error(`[tw] No video view count for ${id}`);
+        }
+        return views;
+    },
+    hosts: {
+        'cdn.syndication.twimg.com': {
+            interval: 1000
+        }
+    },
+    name: 'X'
+};
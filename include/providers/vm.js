@@ -0,0 +1,39 @@
+/**
+ * vm.js
+ *
+ * Provides view counts of Vimeo videos.
+ */
+'use strict';
+
+const {VideoUnavailableError} = require('../errors.js');
+
+module.exports = {
+    auth: 'vimeo',
+    code: 'vm',
+    /**
+     * Fetches Vimeo video view count.
+     * @param {string} id Video ID
+     * @param {object} context Provider context
+     * @param {Function} context.http HTTP client to use
+     * @param {object} context.tokens Various authentication tokens
+     * @returns {Promise<number>} Current view count of the video
+     * @throws {VideoUnavailableError} If the video was not found
+     */
+    async fetchViews(id, {http, tokens}) {
+        try {
+            const response = await http.get(`https://api.vimeo.com/videos/${id}`, {
+                headers: {
+                    Accept: 'application/vnd.vimeo.video+json;version=3.4',
+                    Authorization: `Bearer ${tokens.vimeo}`
+                }
+            }).json();
+            return response.stats.plays;
+        } catch (error) {
+            throw VideoUnavailableError.wrap('vm', id, error);
+        }
+    },
+    limits: {
+        concurrency: 2
+    },
+    name: 'Vimeo'
+};
@@ -0,0 +1,164 @@
+/**
+ * yt.js
+ *
+ * Provides view counts and other statistics of YouTube videos.
+ */
+'use strict';
+
+const {google} = require('googleapis');
+const {VideoUnavailableError} = require('../errors.js');
+
+/**
+ * Maximum amount of video IDs the YouTube API accepts in one request.
+ */
+const BATCH_SIZE = 50;
+
+/**
+ * Daily quota of the YouTube API, in units.
+ */
+const QUOTA_LIMIT = 10000;
+
+/**
+ * Statistics fetched during this check of pages, with null for videos not
+ * found.
+ */
+const cache = new Map();
+
+/**
+ * Quota units used by this process since the last quota reset.
+ */
+const quota = {
+    resets: null,
+    used: 0
+};
+
+/**
+ * Time the YouTube API daily quota resets, which is at midnight Pacific
+ * Time.
+ * @param {Date} now Current time
+ * @returns {Date} Next quota reset
+ */
+function nextQuotaReset(now) {
+    const pacific = new Date(now.toLocaleString('en-US', {
+        timeZone: 'America/Los_Angeles'
+    }));
+    const offset = pacific.getTime() - now.getTime();
+    const midnight = new Date(pacific);
+    midnight.setHours(24, 0, 0, 0);
+    return new Date(midnight.getTime() - offset);
+}
+
+/**
+ * Counts quota units used by a request, starting over after the quota
+ * resets.
+ * @param {number} units Used quota units
+ */
+function useQuota(units) {
+    const now = new Date();
+    if (!quota.resets || now >= quota.resets) {
+        quota.resets = nextQuotaReset(now);
+        quota.used = 0;
+    }
+    quota.used += units;
+}
+
+/**
+ * Fetches statistics of multiple YouTube videos and caches them.
+ * @param {string[]} ids Video IDs
+ * @param {object} context Provider context
+ * @param {object} context.tokens Various authentication tokens
+ * @throws {Error} If the response is invalid
+ */
+async function prefetch(ids, {tokens}) {
+    const youtube = google.youtube('v3');
+    const missing = [...new Set(ids)].filter(id => !cache.has(id));
+    for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+        const batch = missing.slice(i, i + BATCH_SIZE);
+        // Listing videos costs one unit, even when the request fails.
+        useQuota(1);
+        const response = await youtube.videos.list({
+            auth: tokens.google,
+            id: batch.join(','),
+            maxResults: BATCH_SIZE,
+            part: 'statistics'
+        });
+        if (
+            !response ||
+            !response.data ||
+            !(response.data.items instanceof Array)
+        ) {
+            throw new Error('[youtube] Response data not valid');
+        }
+        for (const id of batch) {
+            cache.set(id, null);
+        }
+        for (const {id, statistics} of response.data.items) {
+            // Likes and comments are missing when hidden or disabled.
+            cache.set(id, {
+                comments: Number(statistics.commentCount ?? NaN),
+                likes: Number(statistics.likeCount ?? NaN),
+                views: Number(statistics.viewCount)
+            });
+        }
+    }
+}
+
+/**
+ * Fetches YouTube video statistics.
+ * @param {string} id Video ID
+ * @param {object} context Provider context
+ * @param {object} context.tokens Various authentication tokens
+ * @returns {Promise<object>} Current `views`, `likes` and `comments` of
+ * the video
+ * @throws {VideoUnavailableError} If the video was not found
+ */
+async function fetchStats(id, context) {
+    if (!cache.has(id)) {
+        await prefetch([id], context);
+    }
+    const stats = cache.get(id);
+    if (stats === null) {
+        throw new VideoUnavailableError('yt', id, 'not found');
+    }
+    return stats;
+}
+
+module.exports = {
+    auth: 'google',
+    /**
+     * Forgets cached statistics, so that they are fetched again.
+     */
+    clear() {
+        cache.clear();
+    },
+    code: 'yt',
+    fetchStats,
+    /**
+     * Fetches YouTube video view count.
+     * @param {string} id Video ID
+     * @param {object} context Provider context
+     * @returns {Promise<number>} Current view count of the video
+     * @throws {VideoUnavailableError} If the video was not found
+     */
+    async fetchViews(id, context) {
+        return (await fetchStats(id, context)).views;
+    },
+    limits: {
+        concurrency: 1
+    },
+    name: 'YouTube',
+    nextQuotaReset,
+    prefetch,
+    /**
+     * Reports how much of the daily API quota this process used.
+     * @returns {object} Amount of `used` quota units, the daily `limit`
+     * and when the quota `resets`, which is null until the API is used
+     */
+    usage() {
+        return {
+            limit: QUOTA_LIMIT,
+            resets: quota.resets && quota.resets.toISOString(),
+            used: quota.used
+        };
+    }
+};
@@ -0,0 +1,142 @@
+/**
+ * publisher.js
+ *
+ * Generates summary pages about runs and view counts for publishing on the
+ * wiki.
+ */
+'use strict';
+
+const History = require('./history.js');
+const ProviderRegistry = require('./registry.js');
+const RunSummary = require('./summary.js');
+const {topSongs} = require('./stats.js');
+const {commafy} = require('./views.js');
+
+const RUN_LOG_SIZE = 50;
+
+/**
+ * Formats the summary of a run as a wikitext table row.
+ * @param {object} run Summary of the run
+ * @returns {string} Wikitext of the table row
+ */
+function formatRun(run) {
+    const errors = Object.entries(run.errors)
+        .map(([provider, count]) => `${provider}: ${count}`)
+        .join(', ');
+    const cells = [
+        run.finished.slice(0, 16).replace('T', ' '),
+        run.scanned,
+        run.edited,
+        run.unchanged,
+        run.failed,
+        run.unavailable ?? '',
+        errors
+    ];
+    return `| ${cells.join(' || ')}`.trimEnd();
+}
+
+/**
+ * Formats the log of recent runs as a wikitext table.
+ * @param {object[]} runs Summaries of runs, in order of recording
+ * @returns {string} Wikitext of the run log, the most recent run first
+ */
+function runLog(runs) {
+    return [
+        'Recent runs of the view count bot, as of ~~~~~.',
+        '',
+        '{| class="wikitable sortable"',
+        '! Finished !! Pages scanned !! Edited !! Unchanged !! Failed !! ' +
+            'Unavailable videos !! Errors',
+        ...runs
+            .filter(run => !run.dryRun)
+            .slice(-RUN_LOG_SIZE)
+            .reverse()
+            .flatMap(run => ['|-', formatRun(run)]),
+        '|}'
+    ].join('\n');
+}
+
+/**
+ * Formats the songs with the most views on a provider as a wikitext table.
+ * @param {object[]} songs Songs as returned by `topSongs`
+ * @param {object} provider Provider the views are from
+ * @returns {string} Wikitext of the ranked list
+ */
+function topList(songs, provider) {
+    return [
+        `Top ${songs.length} songs by ${provider.name} views, as of ~~~~~.`,
+        '',
+        '{| class="wikitable"',
+        '! # !! Song !! Views !! Video',
+        ...songs.flatMap(({id, page, views}, index) => [
+            '|-',
+            `| ${index + 1} || [[${page}]] || ${commafy(views)} || ` +
+                `{{l|${provider.code}|${id}}}`
+        ]),
+        '|}'
+    ].join('\n');
+}
+
+/**
+ * Publisher of summary pages.
+ */
+class SummaryPublisher {
+    /**
+     * Class constructor.
+     * @param {object} options Method options
+     * @param {string?} options.runLogPage Wiki page to publish the log of
+     * recent runs on
+     * @param {object} options.topPages Wiki pages to publish the songs with
+     * the most views on, keyed by provider code
+     * @param {number} options.topLimit How many songs to list on top pages
+     * @param {RunSummary} options.summary Summary of the run, which reads
+     * summaries of previous runs
+     * @param {History} options.history View count history to rank songs by
+     * @param {ProviderRegistry} options.providers Registered providers
+     * @param {Function} options.publish Function publishing a page, with
+     * its title, content and edit summary
+     */
+    constructor({
+        runLogPage,
+        topPages = {},
+        topLimit = 100,
+        summary,
+        history,
+        providers,
+        publish
+    }) {
+        this._runLogPage = runLogPage;
+        this._topPages = topPages;
+        this._topLimit = topLimit;
+        this._summary = summary;
+        this._history = history;
+        this._providers = providers;
+        this._publish = publish;
+    }
+    /**
+     * Publishes all configured summary pages.
+     */
+    async publish() {
+        if (this._runLogPage) {
+            await this._publish(
+                this._runLogPage,
+                runLog(await this._summary.load()),
+                'Updating run log'
+            );
+        }
+        const topPages = Object.entries(this._topPages)
+            .filter(([code]) => this._providers.has(code));
+        if (topPages.length === 0) {
+            return;
+        }
+        const entries = await this._history.latestEntries();
+        for (const [code, title] of topPages) {
+            await this._publish(title, topList(topSongs(entries, {
+                limit: this._topLimit,
+                provider: code
+            }), this._providers.get(code)), 'Updating list of top songs');
+        }
+    }
+}
+
+module.exports = SummaryPublisher;
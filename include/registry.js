@@ -0,0 +1,101 @@
+/**
+ * registry.js
+ *
+ * Keeps track of video providers whose view counts can be updated.
+ */
+'use strict';
+
+const path = require('path');
+
+const BUILTIN_PROVIDERS = ['bb', 'nn', 'pp', 'sc', 'tt', 'tw', 'vm', 'yt'];
+const CODE_REGEX = /^\w{2}$/u;
+
+/**
+ * Registry of video providers.
+ */
+class ProviderRegistry {
+    /**
+     * Class constructor.
+     */
+    constructor() {
+        this._providers = new Map();
+    }
+    /**
+     * Loads providers by their codes or module paths.
+     * @param {string[]} names Codes of built-in providers or paths to
+     * modules exporting custom providers
+     */
+    load(names = BUILTIN_PROVIDERS) {
+        for (const name of names) {
+            if (BUILTIN_PROVIDERS.includes(name)) {
+                this.register(require(`./providers/${name}.js`));
+            } else {
+                this.register(require(path.resolve(name)));
+            }
+        }
+    }
+    /**
+     * Registers a provider.
+     * @param {object} provider Provider to register
+     * @param {string} provider.code Two-letter provider code, as used in the
+     * {{v}} and {{l}} templates
+     * @param {string} provider.name Human-readable provider name
+     * @param {string?} provider.auth Service the provider needs
+     * authentication with, if any
+     * @param {Function} provider.fetchViews Function fetching a view count
+     * @throws {Error} If the provider is invalid or already registered
+     */
+    register(provider) {
+        const {code, fetchViews} = provider;
+        if (!CODE_REGEX.test(code) || typeof fetchViews !== 'function') {
+            throw new Error(`Invalid provider: ${provider.name || code}`);
+        }
+        if (this._providers.has(code)) {
+            throw new Error(`Provider ${code} is already registered!`);
+        }
+        this._providers.set(code, provider);
+    }
+    /**
+     * Removes a provider from the registry.
+     * @param {string} code Provider code
+     */
+    disable(code) {
+        this._providers.delete(code);
+    }
+    /**
+     * Checks whether a provider is registered.
+     * @param {string} code Provider code
+     * @returns {boolean} Whether the provider is registered
+     */
+    has(code) {
+        return this._providers.has(code);
+    }
+    /**
+     * Gets a registered provider.
+     * @param {string} code Provider code
+     * @returns {object} Registered provider
+     */
+    get(code) {
+        return this._providers.get(code);
+    }
+    /**
+     * Gets all registered providers.
+     * @returns {object[]} Registered providers
+     */
+    all() {
+        return [...this._providers.values()];
+    }
+    /**
+     * Lists services registered providers need authentication with.
+     * @returns {string[]} Names of the services
+     */
+    authServices() {
+        return [...new Set(
+            this.all()
+                .map(provider => provider.auth)
+                .filter(Boolean)
+        )];
+    }
+}
+
+module.exports = ProviderRegistry;
@@ -0,0 +1,194 @@
+/**
+ * report.js
+ *
+ * Generates reports of changes that would be made during a dry run.
+ */
+'use strict';
+
+const {mkdir, writeFile} = require('fs/promises');
+const path = require('path');
+const {createTwoFilesPatch} = require('diff');
+const {commafy} = require('./views.js');
+
+const DEFAULT_REPORT_DIRECTORY = 'reports';
+const FORMATS = ['markdown', 'html'];
+
+/**
+ * Escapes HTML special characters.
+ * @param {string} text Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/gu, '&amp;')
+        .replace(/</gu, '&lt;')
+        .replace(/>/gu, '&gt;')
+        .replace(/"/gu, '&quot;');
+}
+
+/**
+ * Formats the difference between two view counts.
+ * @param {number} oldCount Old view count
+ * @param {number} newCount New view count
+ * @returns {string} Formatted difference, with a sign
+ */
+function formatDelta(oldCount, newCount) {
+    const delta = newCount - oldCount;
+    return `${delta < 0 ? '-' : '+'}${commafy(Math.abs(delta))}`;
+}
+
+/**
+ * Report of changes made during a dry run.
+ */
+class DryRunReport {
+    /**
+     * Class constructor.
+     * @param {object} options Method options
+     * @param {string} options.dir Directory to write the report in
+     * @param {string} options.format Report format, `markdown` or `html`
+     * @throws {Error} If an unknown report format is specified
+     */
+    constructor({dir, format} = {}) {
+        this._dir = dir || DEFAULT_REPORT_DIRECTORY;
+        this._format = format || FORMATS[0];
+        if (!FORMATS.includes(this._format)) {
+            throw new Error(`Unknown report format: ${this._format}`);
+        }
+        this._pages = [];
+    }
+    /**
+     * Adds a page whose content would be changed to the report.
+     * @param {string} title Page title
+     * @param {string} oldContent Current page content
+     * @param {string} newContent Content that would be posted
+     * @param {object[]} changes Changed view counts, with `provider`, `id`,
+     * `oldCount` and `newCount`
+     * @returns {string} Unified diff of the page content
+     */
+    add(title, oldContent, newContent, changes) {
+        const diff = DryRunReport.diff(title, oldContent, newContent);
+        this._pages.push({
+            changes,
+            diff,
+            title
+        });
+        return diff;
+    }
+    /**
+     * Generates a unified diff of page content.
+     * @param {string} title Page title
+     * @param {string} oldContent Current page content
+     * @param {string} newContent Changed page content
+     * @returns {string} Unified diff of the page content
+     */
+    static diff(title, oldContent, newContent) {
+        return createTwoFilesPatch(
+            `a/${title}`,
+            `b/${title}`,
+            oldContent,
+            newContent
+        )
+            .split('\n')
+            .slice(1)
+            .join('\n')
+            .trim();
+    }
+    /**
+     * Writes the report to a file in the report directory.
+     * @returns {Promise<string?>} Path to the written report, or null if
+     * there were no changes to report
+     */
+    async write() {
+        if (this._pages.length === 0) {
+            return null;
+        }
+        const date = new Date().toISOString()
+            .replace(/:/gu, '-')
+            .replace(/\..*$/u, '');
+        const extension = this._format === 'html' ? 'html' : 'md';
+        const file = path.resolve(this._dir, `dry-run-${date}.${extension}`);
+        await mkdir(this._dir, {
+            recursive: true
+        });
+        await writeFile(
+            file,
+            this._format === 'html' ? this.#html() : this.#markdown()
+        );
+        return file;
+    }
+    /**
+     * Gets all changed view counts in the report.
+     * @returns {object[]} Changes along with titles of their pages
+     * @private
+     */
+    #rows() {
+        return this._pages.flatMap(({changes, title}) => changes
+            .map(change => ({
+                ...change,
+                title
+            })));
+    }
+    /**
+     * Generates the report in Markdown.
+     * @returns {string} Markdown report
+     * @private
+     */
+    #markdown() {
+        return [
+            '# Dry run report',
+            '',
+            `Generated on ${new Date().toISOString()}.`,
+            `${this._pages.length} pages would be edited.`,
+            '',
+            '| Page | Provider | Video | Old count | New count | Delta |',
+            '| --- | --- | --- | ---: | ---: | ---: |',
+            ...this.#rows().map(({id, newCount, oldCount, provider, title}) => `| ${title.replace(/\|/gu, '\\|')} | ${provider} | ${id} | ${commafy(oldCount)} | ${commafy(newCount)} | ${formatDelta(oldCount, newCount)} |`),
+            '',
+            '## Diffs',
+            ...this._pages.flatMap(({diff, title}) => [
+                '',
+                `### ${title}`,
+                '```diff',
+                diff,
+                '```'
+            ]),
+            ''
+        ].join('\n');
+    }
+    /**
+     * Generates the report in HTML.
+     * @returns {string} HTML report
+     * @private
+     */
+    #html() {
+        return [
+            '<!DOCTYPE html>',
+            '<html>',
+            '<head>',
+            '<meta charset="utf-8">',
+            '<title>Dry run report</title>',
+            '</head>',
+            '<body>',
+            '<h1>Dry run report</h1>',
+            `<p>Generated on ${new Date().toISOString()}. ${this._pages.length} pages would be edited.</p>`,
+            '<table>',
+            `<tr>${[
+                'Page',
+                'Provider',
+                'Video',
+                'Old count',
+                'New count',
+                'Delta'
+            ].map(header => `<th>${header}</th>`).join('')}</tr>`,
+            ...this.#rows().map(({id, newCount, oldCount, provider, title}) => `<tr><td>${escapeHTML(title)}</td><td>${escapeHTML(provider)}</td><td>${escapeHTML(id)}</td><td>${commafy(oldCount)}</td><td>${commafy(newCount)}</td><td>${formatDelta(oldCount, newCount)}</td></tr>`),
+            '</table>',
+            '<h2>Diffs</h2>',
+            ...this._pages.map(({diff, title}) => `<h3>${escapeHTML(title)}</h3><pre>${escapeHTML(diff)}</pre>`),
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n');
+    }
+}
+
+module.exports = DryRunReport;
@@ -0,0 +1,249 @@
+/**
+ * schedule.js
+ *
+ * Keeps track of when each page should be checked for new view counts,
+ * based on how fast its view counts grow.
+ */
+'use strict';
+
+const JSONFile = require('./jsonfile.js');
+const {DAY} = require('./time.js');
+
+const DEFAULT_SCHEDULE_FILE = 'data/schedule.json';
+/**
+ * Relative view count growth a page should have between two checks. View
+ * counts are rounded to about three significant digits through {{v}}, so
+ * smaller changes are rarely visible on the page.
+ */
+const TARGET_GROWTH = 0.01;
+
+/**
+ * Persistent schedule of page checks.
+ */
+class Schedule {
+    /**
+     * Class constructor.
+     * @param {object} options Method options
+     * @param {string} options.file Path to the schedule file
+     * @param {number} options.minInterval Shortest interval between checks
+     * of a page, in days
+     * @param {number} options.maxInterval Longest interval between checks
+     * of a page, in days
+     */
+    constructor({file, minInterval = 1, maxInterval = 30} = {}) {
+        this._file = new JSONFile({
+            file: file || DEFAULT_SCHEDULE_FILE,
+            serialize: this.#serialize.bind(this)
+        });
+        this._minInterval = minInterval;
+        this._maxInterval = Math.max(maxInterval, minInterval);
+        this._pages = new Map();
+        this.listed = null;
+        this.published = null;
+    }
+    /**
+     * Loads the schedule from the schedule file.
+     * @returns {Promise<boolean>} Whether there was a schedule to load
+     */
+    async load() {
+        const data = await this._file.read();
+        if (!data) {
+            return false;
+        }
+        this.listed = data.listed;
+        this.published = data.published ?? null;
+        this._pages = new Map(Object.entries(data.pages));
+        return true;
+    }
+    /**
+     * Number of scheduled pages.
+     * @returns {number} Amount of pages in the schedule
+     */
+    get size() {
+        return this._pages.size;
+    }
+    /**
+     * Adds pages to the schedule. Pages that were not scheduled before are
+     * due immediately.
+     * @param {string[]} pages Pages to add
+     * @param {Date} now Current time
+     * @returns {number} Amount of newly added pages
+     */
+    add(pages, now = new Date()) {
+        let added = 0;
+        for (const page of pages) {
+            if (!this._pages.has(page)) {
+                this._pages.set(page, {
+                    checked: null,
+                    interval: null,
+                    next: now.toISOString(),
+                    views: {}
+                });
+                ++added;
+            }
+        }
+        return added;
+    }
+    /**
+     * Makes a page due immediately, adding it to the schedule if needed.
+     * @param {string} page Page to check
+     * @param {Date} now Current time
+     */
+    checkNow(page, now = new Date()) {
+        this.add([page], now);
+        this._pages.get(page).next = now.toISOString();
+    }
+    /**
+     * Removes a page from the schedule.
+     * @param {string} page Page to remove
+     */
+    remove(page) {
+        this._pages.delete(page);
+    }
+    /**
+     * Lists pages due for a check.
+     * @param {Date} now Current time
+     * @returns {string[]} Due pages, the longest overdue first
+     */
+    due(now = new Date()) {
+        return [...this._pages]
+            .filter(([, {next}]) => new Date(next) <= now)
+            .sort(([, a], [, b]) => new Date(a.next) - new Date(b.next))
+            .map(([page]) => page);
+    }
+    /**
+     * Time the next page is due.
+     * @returns {Date?} When the next check is due, or null if no pages are
+     * scheduled
+     */
+    nextDue() {
+        let next = null;
+        for (const entry of this._pages.values()) {
+            const date = new Date(entry.next);
+            if (!next || date < next) {
+                next = date;
+            }
+        }
+        return next;
+    }
+    /**
+     * Reschedules a checked page based on how fast its view counts grew
+     * since the previous check. Pages without view counts are checked
+     * again after the longest interval, while pages that were checked for
+     * the first time or whose view counts could not be fetched are checked
+     * again after the shortest interval.
+     * @param {string} page Checked page
+     * @param {Map<string, number?>} counts Fetched view counts, keyed by
+     * provider and video ID, or null for view counts that could not be
+     * fetched
+     * @param {Date} now Current time
+     * @returns {number?} Days until the next check, or null if the page is
+     * not scheduled
+     */
+    update(page, counts, now = new Date()) {
+        const entry = this._pages.get(page);
+        if (!entry) {
+            return null;
+        }
+        const growth = this.#growth(entry, counts, now);
+        let interval = this._maxInterval;
+        if (growth === null) {
+            interval = this._minInterval;
+        } else if (growth > 0) {
+            interval = Math.min(
+                Math.max(TARGET_GROWTH / growth, this._minInterval),
+                this._maxInterval
+            );
+        }
+        const views = {};
+        for (const [key, count] of counts) {
+            views[key] = count ?? entry.views[key] ?? null;
+        }
+        this._pages.set(page, {
+            checked: now.toISOString(),
+            interval,
+            next: new Date(now.getTime() + interval * DAY).toISOString(),
+            views
+        });
+        return interval;
+    }
+    /**
+     * Schedules a page whose check failed to be checked again after the
+     * shortest interval.
+     * @param {string} page Page that failed
+     * @param {Date} now Current time
+     */
+    retry(page, now = new Date()) {
+        const entry = this._pages.get(page);
+        if (entry) {
+            entry.next = new Date(now.getTime() + this._minInterval * DAY)
+                .toISOString();
+        }
+    }
+    /**
+     * Postpones the check of a page by its current interval, or by the
+     * shortest interval if it was not checked yet.
+     * @param {string} page Page to postpone
+     * @param {Date} now Current time
+     */
+    postpone(page, now = new Date()) {
+        const entry = this._pages.get(page);
+        if (entry) {
+            const interval = entry.interval || this._minInterval;
+            entry.next = new Date(now.getTime() + interval * DAY)
+                .toISOString();
+        }
+    }
+    /**
+     * Saves the schedule to the schedule file.
+     * @returns {Promise} Promise resolving once the schedule is written
+     */
+    save() {
+        return this._file.save();
+    }
+    /**
+     * Calculates the highest daily relative growth of view counts on a page
+     * since its previous check.
+     * @param {object} entry Schedule entry of the page
+     * @param {Map<string, number?>} counts Fetched view counts
+     * @param {Date} now Current time
+     * @returns {number?} Daily growth, where 0.01 is 1% more views per day,
+     * or null if the growth is unknown
+     * @private
+     */
+    #growth(entry, counts, now) {
+        if (counts.size === 0) {
+            return 0;
+        }
+        const days = entry.checked &&
+            Math.max((now - new Date(entry.checked)) / DAY, 1 / 24);
+        let growth = null;
+        for (const [key, count] of counts) {
+            const previous = entry.views[key];
+            if (days && typeof count === 'number' && previous > 0) {
+                growth = Math.max(
+                    growth ?? 0,
+                    (count - previous) / previous / days
+                );
+            } else if (days && count === 0 && previous === 0) {
+                growth = growth ?? 0;
+            }
+        }
+        return growth;
+    }
+    /**
+     * Gets the data to write to the schedule file.
+     * @returns {object} Schedule file contents
+     * @private
+     */
+    #serialize() {
+        return {
+            listed: this.listed,
+            pages: Object.fromEntries(this._pages),
+            published: this.published,
+            updated: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = Schedule;
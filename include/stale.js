@@ -0,0 +1,103 @@
+/**
+ * stale.js
+ *
+ * Collects view counts whose "as of" date is old because they could not be
+ * updated.
+ */
+'use strict';
+
+const {mkdir, writeFile} = require('fs/promises');
+const path = require('path');
+const {DAY} = require('./time.js');
+
+const DEFAULT_REPORT_FILE = 'reports/stale.md';
+
+/**
+ * Report of outdated view counts that could not be updated during a run.
+ */
+class StaleReport {
+    /**
+     * Class constructor.
+     * @param {object} options Method options
+     * @param {string} options.file Path to the report file
+     * @param {number} options.maxAge Age in days after which view counts
+     * that could not be updated are reported
+     */
+    constructor({file, maxAge = 30} = {}) {
+        this._file = file || DEFAULT_REPORT_FILE;
+        this._maxAge = maxAge;
+        this._counts = [];
+    }
+    /**
+     * Adds a view count that could not be updated to the report, if its
+     * date is too old and it was not reported already.
+     * @param {object} count View count that could not be updated
+     * @param {string} count.page Page the view count is on
+     * @param {string} count.provider Video provider code
+     * @param {string} count.id Video ID
+     * @param {string?} count.date Date the view count is as of, as written
+     * on the page
+     * @param {Date} now Current time
+     * @returns {boolean} Whether the view count was reported
+     */
+    check({page, provider, id, date}, now = new Date()) {
+        const time = Date.parse(date);
+        if (Number.isNaN(time)) {
+            return false;
+        }
+        const age = Math.floor((now - time) / DAY);
+        if (age < this._maxAge || this._counts.some(
+            count => count.page === page &&
+                count.provider === provider &&
+                count.id === id
+        )) {
+            return false;
+        }
+        this._counts.push({
+            age,
+            date,
+            id,
+            page,
+            provider
+        });
+        return true;
+    }
+    /**
+     * Outdated view counts found so far.
+     * @returns {object[]} Outdated view counts, with their `age` in days
+     */
+    get counts() {
+        return this._counts;
+    }
+    /**
+     * Writes the report to the report file.
+     * @returns {Promise<string?>} Path to the written report, or null if
+     * there were no outdated view counts
+     */
+    async write() {
+        if (this._counts.length === 0) {
+            return null;
+        }
+        const file = path.resolve(this._file);
+        await mkdir(path.dirname(file), {
+            recursive: true
+        });
+        await writeFile(file, [
+            '# Outdated view counts',
+            '',
+            `Generated on ${new Date().toISOString()}.`,
+            `View counts older than ${this._maxAge} days that could not be updated.`,
+            '',
+            '| Page | Provider | Video | As of | Days old |',
+            '| --- | --- | --- | --- | ---: |',
+            ...this._counts
+                .slice()
+                .sort((a, b) => b.age - a.age)
+                .map(({age, date, id, page, provider}) => `| ${page.replace(/\|/gu, '\\|')} | ${provider} | ${id} | ${date} | ${age} |`),
+            ''
+        ].join('\n'));
+        return file;
+    }
+}
+
+module.exports = StaleReport;
@@ -0,0 +1,104 @@
+/**
+ * state.js
+ *
+ * Keeps a checkpoint of the current run so it can be resumed later.
+ */
+'use strict';
+
+const JSONFile = require('./jsonfile.js');
+
+const DEFAULT_STATE_FILE = 'state.json';
+
+/**
+ * Persistent checkpoint of a run.
+ */
+class State {
+    /**
+     * Class constructor.
+     * @param {object} options Method options
+     * @param {string} options.file Path to the state file
+     */
+    constructor({file} = {}) {
+        this._file = new JSONFile({
+            file: file || DEFAULT_STATE_FILE,
+            serialize: this.#serialize.bind(this)
+        });
+        this.reset();
+    }
+    /**
+     * Starts a fresh state.
+     */
+    reset() {
+        this.continuation = null;
+        this.failed = [];
+        this.finished = false;
+        this.listed = false;
+        this.pending = [];
+        this.processed = new Set();
+        this.started = new Date().toISOString();
+    }
+    /**
+     * Loads the state from the state file.
+     * @returns {Promise<boolean>} Whether there was a state to load
+     */
+    async load() {
+        const data = await this._file.read();
+        if (!data) {
+            return false;
+        }
+        this.continuation = data.continuation;
+        this.failed = data.failed;
+        this.finished = data.finished;
+        this.listed = data.listed;
+        this.pending = data.pending;
+        this.processed = new Set(data.processed);
+        this.started = data.started;
+        return true;
+    }
+    /**
+     * Marks a page as processed.
+     * @param {string} page Processed page
+     */
+    done(page) {
+        this.processed.add(page);
+    }
+    /**
+     * Marks a page as failed.
+     * @param {string} page Failed page
+     * @param {string} reason Why processing the page failed
+     */
+    fail(page, reason) {
+        this.failed.push({
+            page,
+            reason
+        });
+    }
+    /**
+     * Saves the state to the state file.
+     * @param {string[]} pending Pages left to process
+     * @returns {Promise} Promise resolving once the state is written
+     */
+    save(pending) {
+        this.pending = pending;
+        return this._file.save();
+    }
+    /**
+     * Gets the data to write to the state file.
+     * @returns {object} State file contents
+     * @private
+     */
+    #serialize() {
+        return {
+            continuation: this.continuation,
+            failed: this.failed,
+            finished: this.finished,
+            listed: this.listed,
+            pending: this.pending,
+            processed: [...this.processed],
+            started: this.started,
+            updated: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = State;
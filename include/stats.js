@@ -0,0 +1,170 @@
+/**
+ * stats.js
+ *
+ * Computes growth statistics from the view count history.
+ */
+'use strict';
+
+const History = require('./history.js');
+const {commafy} = require('./views.js');
+const {DAY} = require('./time.js');
+
+const DEFAULT_MILESTONES = [100000, 1000000];
+
+/**
+ * Finds videos whose view counts grew the fastest recently.
+ * @param {object[]} entries History entries
+ * @param {object} options Method options
+ * @param {number} options.days How many days back to look
+ * @param {number} options.limit How many videos to list
+ * @param {Date} options.now Current time
+ * @returns {object[]} Videos with their `page`, `provider`, `id`, current
+ * `views` and average `growth` per day, fastest first
+ */
+function fastestGrowing(entries, {days = 30, limit = 10, now = new Date()}) {
+    const since = now.getTime() - days * DAY;
+    const growing = [];
+    for (const videoEntries of History.byVideo(entries).values()) {
+        const recent = videoEntries
+            .filter(entry => new Date(entry.time).getTime() >= since);
+        if (recent.length < 2) {
+            continue;
+        }
+        const [first] = recent;
+        const last = recent[recent.length - 1];
+        const elapsed = new Date(last.time) - new Date(first.time);
+        if (elapsed <= 0) {
+            continue;
+        }
+        growing.push({
+            growth: Math.round((last.views - first.views) / elapsed * DAY),
+            id: last.id,
+            page: last.page,
+            provider: last.provider,
+            views: last.views
+        });
+    }
+    return growing
+        .sort((a, b) => b.growth - a.growth)
+        .slice(0, limit);
+}
+
+/**
+ * Finds points in time where view counts crossed milestones.
+ * @param {object[]} entries History entries
+ * @param {number[]} thresholds Milestone view counts
+ * @returns {object[]} Crossings with their `page`, `provider`, `id`,
+ * `threshold` and `time` of the first count above the threshold, most
+ * recent first
+ */
+function milestoneCrossings(entries, thresholds = DEFAULT_MILESTONES) {
+    const crossings = [];
+    for (const videoEntries of History.byVideo(entries).values()) {
+        for (let i = 1; i < videoEntries.length; ++i) {
+            const previous = videoEntries[i - 1];
+            const current = videoEntries[i];
+            for (const threshold of thresholds) {
+                if (previous.views < threshold && current.views >= threshold) {
+                    crossings.push({
+                        id: current.id,
+                        page: current.page,
+                        provider: current.provider,
+                        threshold,
+                        time: current.time
+                    });
+                }
+            }
+        }
+    }
+    return crossings.sort((a, b) => new Date(b.time) - new Date(a.time));
+}
+
+/**
+ * Sums the latest view counts of all videos per provider.
+ * @param {object[]} entries History entries
+ * @returns {object[]} Totals with their `provider`, number of `videos`
+ * and `views`, highest first
+ */
+function providerTotals(entries) {
+    const totals = new Map();
+    for (const videoEntries of History.byVideo(entries).values()) {
+        const {provider, views} = videoEntries[videoEntries.length - 1];
+        const total = totals.get(provider) || {
+            provider,
+            videos: 0,
+            views: 0
+        };
+        ++total.videos;
+        total.views += views;
+        totals.set(provider, total);
+    }
+    return [...totals.values()].sort((a, b) => b.views - a.views);
+}
+
+/**
+ * Finds songs with the most views on a provider, according to the latest
+ * view counts of their videos. Songs linking multiple videos of the
+ * provider are ranked by the most viewed one.
+ * @param {object[]} entries History entries
+ * @param {object} options Method options
+ * @param {string} options.provider Provider code
+ * @param {number} options.limit How many songs to list
+ * @returns {object[]} Songs with their `page`, and the `id` and `views` of
+ * their most viewed video, most viewed first
+ */
+function topSongs(entries, {provider, limit = 100}) {
+    const songs = new Map();
+    for (const videoEntries of History.byVideo(entries).values()) {
+        const last = videoEntries[videoEntries.length - 1];
+        if (
+            last.provider === provider &&
+            (songs.get(last.page)?.views ?? -1) < last.views
+        ) {
+            songs.set(last.page, {
+                id: last.id,
+                page: last.page,
+                views: last.views
+            });
+        }
+    }
+    return [...songs.values()]
+        .sort((a, b) => b.views - a.views)
+        .slice(0, limit);
+}
+
+/**
+ * Formats all statistics as a plain text report.
+ * @param {object[]} entries History entries
+ * @param {object} options Method options
+ * @param {number} options.days How many days back to look for growth
+ * @param {number} options.limit How many videos to list
+ * @param {number[]} options.milestones Milestone view counts
+ * @returns {string} Formatted report
+ */
+function formatStats(entries, {days = 30, limit = 10, milestones} = {}) {
+    const lines = [
+        `Fastest-growing songs in the last ${days} days:`,
+        ...fastestGrowing(entries, {
+            days,
+            limit
+        }).map(({growth, id, page, provider, views}, index) => `${index + 1}. ${page} [${provider} ${id}]: ${commafy(views)} (+${commafy(Math.max(growth, 0))}/day)`),
+        '',
+        'Milestone crossings:',
+        ...milestoneCrossings(entries, milestones)
+            .slice(0, limit)
+            .map(({id, page, provider, threshold, time}) => `${time.slice(0, 10)} ${page} [${provider} ${id}]: ${commafy(threshold)}`),
+        '',
+        'Totals per provider:',
+        ...providerTotals(entries)
+            .map(({provider, videos, views}) => `${provider}: ${commafy(views)} views across ${videos} videos`)
+    ];
+    return lines.join('\n');
+}
+
+module.exports = {
+    fastestGrowing,
+    formatStats,
+    milestoneCrossings,
+    providerTotals,
+    topSongs
+};
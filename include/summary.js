@@ -0,0 +1,171 @@
+/**
+ * summary.js
+ *
+ * Counts what happened to pages during a run and records a summary of
+ * every run.
+ */
+'use strict';
+
+const {appendFile, mkdir, readFile} = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_RUNS_FILE = 'data/runs.jsonl';
+
+/**
+ * Formats a duration for humans.
+ * @param {number} duration Duration in milliseconds
+ * @returns {string} Duration in hours, minutes and seconds
+ */
+function formatDuration(duration) {
+    const seconds = Math.round(duration / 1000);
+    const parts = [
+        [Math.floor(seconds / 3600), 'h'],
+        [Math.floor(seconds / 60) % 60, 'm'],
+        [seconds % 60, 's']
+    ].filter(([value], index) => value > 0 || index === 2);
+    return parts.map(([value, unit]) => `${value}${unit}`).join(' ');
+}
+
+/**
+ * Summary of a run.
+ */
+class RunSummary {
+    /**
+     * Class constructor.
+     * @param {object} options Method options
+     * @param {boolean} options.dryRun Whether pages are only reported
+     * instead of edited
+     * @param {string} options.file Path to the file recording summaries of
+     * all runs
+     */
+    constructor({dryRun, file} = {}) {
+        this._dryRun = Boolean(dryRun);
+        this._file = file || DEFAULT_RUNS_FILE;
+        this.start();
+    }
+    /**
+     * Starts counting from zero.
+     */
+    start() {
+        this._started = new Date();
+        this._finished = null;
+        this._scanned = 0;
+        this._edited = 0;
+        this._unchanged = 0;
+        this._failed = 0;
+        this._unavailable = 0;
+        this._errors = {};
+    }
+    /**
+     * Counts a page whose processing started.
+     */
+    scanned() {
+        ++this._scanned;
+    }
+    /**
+     * Counts a page that was edited, or would have been in a dry run.
+     */
+    edited() {
+        ++this._edited;
+    }
+    /**
+     * Counts a page that did not need changes.
+     */
+    unchanged() {
+        ++this._unchanged;
+    }
+    /**
+     * Counts a page that could not be processed or edited.
+     */
+    failed() {
+        ++this._failed;
+    }
+    /**
+     * Counts a video found to be unavailable.
+     */
+    unavailable() {
+        ++this._unavailable;
+    }
+    /**
+     * Counts an error while fetching a view count.
+     * @param {string} provider Code of the provider that failed
+     */
+    error(provider) {
+        this._errors[provider] = (this._errors[provider] || 0) + 1;
+    }
+    /**
+     * Marks the run as finished.
+     */
+    finish() {
+        this._finished = new Date();
+    }
+    /**
+     * Summary as an object.
+     * @returns {object} Summary of the run
+     */
+    toJSON() {
+        const finished = this._finished || new Date();
+        return {
+            dryRun: this._dryRun,
+            duration: finished - this._started,
+            edited: this._edited,
+            errors: {...this._errors},
+            failed: this._failed,
+            finished: finished.toISOString(),
+            scanned: this._scanned,
+            started: this._started.toISOString(),
+            unavailable: this._unavailable,
+            unchanged: this._unchanged
+        };
+    }
+    /**
+     * Summary for humans.
+     * @returns {string} Summary of the run
+     */
+    format() {
+        const summary = this.toJSON();
+        const errors = Object.entries(summary.errors)
+            .map(([provider, count]) => `${provider} ${count}`)
+            .join(', ');
+        return `Scanned ${summary.scanned} pages in ` +
+            `${formatDuration(summary.duration)}: ${summary.edited} ` +
+            `${this._dryRun ? 'to edit' : 'edited'}, ${summary.unchanged} ` +
+            `unchanged, ${summary.failed} failed. ` +
+            `Errors by provider: ${errors || 'none'}.`;
+    }
+    /**
+     * Appends the summary to the file with summaries of all runs.
+     * @returns {Promise<string>} Path to the file
+     */
+    async save() {
+        const file = path.resolve(this._file);
+        await mkdir(path.dirname(file), {
+            recursive: true
+        });
+        await appendFile(file, `${JSON.stringify(this)}\n`);
+        return file;
+    }
+    /**
+     * Reads summaries of all recorded runs.
+     * @returns {Promise<object[]>} Summaries of runs, in order of recording
+     */
+    async load() {
+        let runs = '';
+        try {
+            runs = await readFile(this._file, {
+                encoding: 'utf-8'
+            });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+        return runs
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+    }
+}
+
+module.exports = RunSummary;
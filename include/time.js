@@ -0,0 +1,15 @@
+/**
+ * time.js
+ *
+ * Units of time shared by scheduling, guards and reports.
+ */
+'use strict';
+
+/**
+ * Milliseconds in a day.
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+module.exports = {
+    DAY
+};
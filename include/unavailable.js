@@ -0,0 +1,95 @@
+/**
+ * unavailable.js
+ *
+ * Collects videos that were removed or made private.
+ */
+'use strict';
+
+const {mkdir, writeFile} = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_REPORT_FILE = 'reports/unavailable.md';
+
+/**
+ * Report of unavailable videos found during a run.
+ */
+class UnavailableReport {
+    /**
+     * Class constructor.
+     * @param {object} options Method options
+     * @param {string} options.file Path to the report file
+     */
+    constructor({file} = {}) {
+        this._file = file || DEFAULT_REPORT_FILE;
+        this._videos = new Map();
+    }
+    /**
+     * Adds an unavailable video to the report, replacing the entry of the
+     * same video on the same page if it was found unavailable before.
+     * @param {object} video Unavailable video
+     * @param {string} video.page Page linking to the video
+     * @param {string} video.provider Video provider code
+     * @param {string} video.id Video ID
+     * @param {string} video.reason Why the video is unavailable
+     */
+    add({page, provider, id, reason}) {
+        this._videos.set(`${page}\n${provider}\n${id}`, {
+            id,
+            page,
+            provider,
+            reason
+        });
+    }
+    /**
+     * Unavailable videos found so far.
+     * @returns {object[]} Unavailable videos
+     */
+    get videos() {
+        return [...this._videos.values()];
+    }
+    /**
+     * Writes the report to the report file.
+     * @returns {Promise<string?>} Path to the written report, or null if
+     * there were no unavailable videos
+     */
+    async write() {
+        if (this._videos.size === 0) {
+            return null;
+        }
+        const file = path.resolve(this._file);
+        await mkdir(path.dirname(file), {
+            recursive: true
+        });
+        await writeFile(file, [
+            '# Unavailable videos',
+            '',
+            `Generated on ${new Date().toISOString()}.`,
+            '',
+            '| Page | Provider | Video | Reason |',
+            '| --- | --- | --- | --- |',
+            ...this.videos.map(({id, page, provider, reason}) => `| ${page.replace(/\|/gu, '\\|')} | ${provider} | ${id} | ${reason} |`),
+            ''
+        ].join('\n'));
+        return file;
+    }
+    /**
+     * Formats the report as a wikitext table, for publishing on the wiki.
+     * @returns {string} Wikitext of the report
+     */
+    wikitext() {
+        return [
+            'Videos found to be unavailable during the last run, as of ' +
+                '~~~~~. Please fix or remove their links.',
+            '',
+            '{| class="wikitable sortable"',
+            '! Page !! Provider !! Video !! Reason',
+            ...this.videos.flatMap(({id, page, provider, reason}) => [
+                '|-',
+                `| [[${page}]] || ${provider} || {{l|${provider}|${id}}} || ${reason}`
+            ]),
+            '|}'
+        ].join('\n');
+    }
+}
+
+module.exports = UnavailableReport;
@@ -0,0 +1,112 @@
+/**
+ * views.js
+ *
+ * Parsing, rounding and formatting of view counts the way the {{v}}
+ * template displays them.
+ */
+'use strict';
+
+/**
+ * Matches a view count at the start of a {{v}} template value, with an
+ * optional approximation prefix, digit groups separated by commas, dots or
+ * spaces, an optional fraction, an optional magnitude suffix and an
+ * optional trailing plus sign. A fraction is only valid before a magnitude
+ * suffix.
+ */
+const COUNT_REGEX = /^([~≈]\s*)?(\d+(?:[,. \u00a0\u202f]\d{3})*)(\.\d+)?\s*(k|m|b|thousand|million|billion)?\b\s*(\+)?/iu;
+const MAGNITUDES = {
+    b: 1e9,
+    billion: 1e9,
+    k: 1e3,
+    m: 1e6,
+    million: 1e6,
+    thousand: 1e3
+};
+
+/**
+ * Checks whether a value is a view count that can be written to a page.
+ * @param {*} count Value to check
+ * @returns {boolean} Whether the value is a non-negative integer
+ */
+function isValidCount(count) {
+    return Number.isSafeInteger(count) && count >= 0;
+}
+
+/**
+ * Adds commas into a number, separating the groups of three digits.
+ * @param {number} num Number to commafy
+ * @returns {string} Number with commas
+ * @throws {TypeError} If the number is not a non-negative integer
+ */
+function commafy(num) {
+    if (!isValidCount(num)) {
+        throw new TypeError(`Invalid view count: ${num}`);
+    }
+    return String(num).replace(/\B(?=(?:\d{3})+$)/gu, ',');
+}
+
+/**
+ * Replicates {{v}} template's number rounding: two-digit numbers are
+ * rounded to tens, and larger numbers lose one more trailing digit for
+ * every three digits they have.
+ * @param {number} num Number of views
+ * @returns {string} Rounded number of views
+ * @throws {TypeError} If the number is not a non-negative integer
+ */
+function roundV(num) {
+    if (!isValidCount(num)) {
+        throw new TypeError(`Invalid view count: ${num}`);
+    }
+    const str = String(num);
+    if (str.length === 1) {
+        return str;
+    }
+    if (str.length === 2) {
+        return String(Math.round(num / 10) * 10);
+    }
+    const dropped = Math.floor((str.length + 2) / 3);
+    return `${str.slice(0, -dropped)}${'0'.repeat(dropped)}`;
+}
+
+/**
+ * Parses a view count written in a {{v}} template, such as `1,234,567`,
+ * `1.2M` or `1,234+`, possibly followed by annotations like references or
+ * comments.
+ * @param {string} value Template parameter value
+ * @returns {object?} Parsed view count `views`, whether it is
+ * `approximate` and the `length` of the count at the start of the value,
+ * or null if the value does not start with a view count
+ */
+function parseViews(value) {
+    const match = COUNT_REGEX.exec(value);
+    if (!match) {
+        return null;
+    }
+    const [text, prefix, digits, fraction = '', magnitude, plus] = match;
+    let views = 0;
+    if (magnitude) {
+        views = Math.round(
+            Number(`${digits}${fraction}`.replace(/[, \u00a0\u202f]/gu, '')) *
+            MAGNITUDES[magnitude.toLowerCase()]
+        );
+    } else if (fraction) {
+        return null;
+    } else {
+        views = Number(digits.replace(/\D/gu, ''));
+    }
+    if (!isValidCount(views)) {
+        return null;
+    }
+    return {
+        approximate: Boolean(prefix || fraction || magnitude || plus),
+        length: text.trimEnd().length,
+        views
+    };
+}
+
+module.exports = {
+    commafy,
+    isValidCount,
+    parseViews,
+    roundV
+};
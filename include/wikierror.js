@@ -0,0 +1,25 @@
+/**
+ * wikierror.js
+ *
+ * Errors returned by the MediaWiki API.
+ */
+'use strict';
+
+/**
+ * Error returned by the MediaWiki API.
+ */
+class MediaWikiError extends Error {
+    /**
+     * Class constructor.
+     * @param {string} code API error code
+     * @param {string} info Human-readable error description
+     */
+    constructor(code, info) {
+        super(`MediaWiki API error: ${code}: ${info}`);
+        this.name = 'MediaWikiError';
+        this.code = code;
+        this.info = info;
+    }
+}
+
+module.exports = MediaWikiError;
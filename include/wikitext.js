@@ -0,0 +1,413 @@
+/**
+ * wikitext.js
+ *
+ * Parses template invocations in wikitext.
+ */
+'use strict';
+
+/**
+ * Normalizes a template name the way MediaWiki does, so that
+ * `song_box 2` and `Template:Song box 2` refer to the same template.
+ * @param {string} name Template name
+ * @returns {string} Normalized template name
+ */
+function normalizeName(name) {
+    const normalized = name
+        .replace(/<!--[\s\S]*?-->/gu, '')
+        .replace(/[_\s]+/gu, ' ')
+        .trim()
+        .replace(/^template:\s*/iu, '');
+    return normalized.charAt(0).toUpperCase() + normalized.slice(1);
+}
+
+/**
+ * Skips over an HTML comment, if one starts at the specified position.
+ * @param {string} text Text being parsed
+ * @param {number} index Current position
+ * @returns {number} Position after the comment, or the current position
+ * if there is no comment
+ */
+function skipComment(text, index) {
+    if (!text.startsWith('<!--', index)) {
+        return index;
+    }
+    const end = text.indexOf('-->', index + 4);
+    return end === -1 ? text.length : end + 3;
+}
+
+/**
+ * Splits template contents by top-level separators, ignoring separators
+ * in nested templates, links and comments.
+ * @param {string} text Text being parsed
+ * @param {number} start Start of the template contents
+ * @param {number} end End of the template contents
+ * @returns {number[][]} Start and end of each part
+ */
+function splitParts(text, start, end) {
+    const parts = [];
+    let depth = 0;
+    let partStart = start;
+    let i = start;
+    while (i < end) {
+        const next = skipComment(text, i);
+        if (next !== i) {
+            i = next;
+        } else if (text.startsWith('{{', i) || text.startsWith('[[', i)) {
+            ++depth;
+            i += 2;
+        } else if (
+            depth > 0 &&
+            (text.startsWith('}}', i) || text.startsWith(']]', i))
+        ) {
+            --depth;
+            i += 2;
+        } else {
+            if (depth === 0 && text[i] === '|') {
+                parts.push([partStart, i]);
+                partStart = i + 1;
+            }
+            ++i;
+        }
+    }
+    parts.push([partStart, end]);
+    return parts;
+}
+
+/**
+ * Finds the position of a top-level equals sign in a template parameter.
+ * @param {string} text Text being parsed
+ * @param {number} start Start of the parameter
+ * @param {number} end End of the parameter
+ * @returns {number} Position of the equals sign, or -1 if there is none
+ */
+function findEquals(text, start, end) {
+    let depth = 0;
+    let i = start;
+    while (i < end) {
+        const next = skipComment(text, i);
+        if (next !== i) {
+            i = next;
+        } else if (text.startsWith('{{', i) || text.startsWith('[[', i)) {
+            ++depth;
+            i += 2;
+        } else if (text.startsWith('}}', i) || text.startsWith(']]', i)) {
+            --depth;
+            i += 2;
+        } else if (depth === 0 && text[i] === '=') {
+            return i;
+        } else {
+            ++i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Trims whitespace around a part of the text.
+ * @param {string} text Text being parsed
+ * @param {number} start Start of the part
+ * @param {number} end End of the part
+ * @returns {number[]} Start and end of the trimmed part
+ */
+function trimSpan(text, start, end) {
+    let trimmedStart = start;
+    let trimmedEnd = end;
+    while (trimmedStart < trimmedEnd && /\s/u.test(text[trimmedStart])) {
+        ++trimmedStart;
+    }
+    while (trimmedEnd > trimmedStart && /\s/u.test(text[trimmedEnd - 1])) {
+        --trimmedEnd;
+    }
+    return [trimmedStart, trimmedEnd];
+}
+
+/**
+ * Parses a template invocation whose span is known.
+ * @param {string} text Text being parsed
+ * @param {number} start Position of the opening braces
+ * @param {number} end Position after the closing braces
+ * @returns {object} Parsed template, with its `name`, `start`, `end` and
+ * `params`, each of which has a `name`, a trimmed `value` and `start` and
+ * `end` of the trimmed value in the text
+ */
+function parseTemplate(text, start, end) {
+    const [
+        [nameStart, nameEnd],
+        ...parts
+    ] = splitParts(text, start + 2, end - 2);
+    const params = [];
+    let position = 0;
+    for (const [partStart, partEnd] of parts) {
+        const equals = findEquals(text, partStart, partEnd);
+        let name = null;
+        let valueStart = partStart;
+        if (equals === -1) {
+            name = String(++position);
+        } else {
+            name = text.slice(partStart, equals).trim();
+            valueStart = equals + 1;
+        }
+        const [trimmedStart, trimmedEnd] = trimSpan(text, valueStart, partEnd);
+        params.push({
+            end: trimmedEnd,
+            name,
+            start: trimmedStart,
+            value: text.slice(trimmedStart, trimmedEnd)
+        });
+    }
+    return {
+        end,
+        name: normalizeName(text.slice(nameStart, nameEnd)),
+        params,
+        start
+    };
+}
+
+/**
+ * Parses all top-level template invocations in a part of wikitext.
+ * Templates nested in them can be parsed by calling this function on the
+ * span of a parameter.
+ * @param {string} text Wikitext to parse
+ * @param {number} start Where to start parsing
+ * @param {number} end Where to stop parsing
+ * @returns {object[]} Parsed templates, as returned by `parseTemplate`
+ */
+function parseTemplates(text, start = 0, end = text.length) {
+    const templates = [];
+    const stack = [];
+    let i = start;
+    while (i < end) {
+        const next = skipComment(text, i);
+        if (next !== i) {
+            i = next;
+        } else if (text.startsWith('{{', i)) {
+            stack.push(i);
+            i += 2;
+        } else if (stack.length > 0 && text.startsWith('}}', i)) {
+            const templateStart = stack.pop();
+            i += 2;
+            if (stack.length === 0) {
+                templates.push(parseTemplate(text, templateStart, i));
+            }
+        } else {
+            ++i;
+        }
+    }
+    return templates;
+}
+
+/**
+ * Finds all top-level invocations of a template in a part of wikitext.
+ * @param {string} text Wikitext to search
+ * @param {string} name Name of the template to find
+ * @param {number} start Where to start searching
+ * @param {number} end Where to stop searching
+ * @returns {object[]} Parsed templates, as returned by `parseTemplate`
+ */
+function findTemplates(text, name, start, end) {
+    const normalized = normalizeName(name);
+    return parseTemplates(text, start, end)
+        .filter(template => template.name === normalized);
+}
+
+/**
+ * Gets a parameter of a parsed template.
+ * @param {object} template Template parsed by `parseTemplate`
+ * @param {string} name Parameter name, or position for positional
+ * parameters
+ * @returns {object?} Parameter, or null if the template does not have it
+ */
+function getParam(template, name) {
+    return template.params
+        .slice()
+        .reverse()
+        .find(param => param.name === String(name)) || null;
+}
+
+/**
+ * Escapes a page title for use in a regular expression, treating spaces
+ * and underscores as equal the way MediaWiki does.
+ * @param {string} title Title to escape
+ * @returns {string} Escaped title
+ */
+function escapeTitle(title) {
+    return title
+        .replace(/[.*+?^${}()|[\]\\]/gu, '\\$&')
+        .replace(/[ _]+/gu, '[ _]+');
+}
+
+/**
+ * Checks whether wikitext contains a category link.
+ * @param {string} text Wikitext to check
+ * @param {string} category Category name, without the namespace
+ * @returns {boolean} Whether the category link is present
+ */
+function hasCategory(text, category) {
+    return new RegExp(
+        `\\[\\[\\s*category\\s*:\\s*${escapeTitle(category)}\\s*(\\||\\]\\])`,
+        'iu'
+    ).test(text);
+}
+
+/**
+ * Adds a category link to the end of wikitext, unless it is already there.
+ * @param {string} text Wikitext to add the category to
+ * @param {string} category Category name, without the namespace
+ * @returns {string} Wikitext with the category
+ */
+function addCategory(text, category) {
+    if (hasCategory(text, category)) {
+        return text;
+    }
+    return `${text.trimEnd()}\n[[Category:${category}]]`;
+}
+
+/**
+ * Pairs view counts with video links in infoboxes. Every {{l}} template in
+ * the links parameter of an infobox is paired with the {{v}} template for
+ * the same provider in the views parameter of that infobox, in the order
+ * they appear. Other statistics written with {{v}} templates, such as
+ * likes, are paired the same way from their own parameter.
+ * @param {string} text Wikitext to search
+ * @param {string} infobox Name of the infobox template
+ * @param {Function} isSupported Function checking whether a provider code
+ * should be paired
+ * @param {string} param Infobox parameter with the {{v}} templates
+ * @returns {object[]} Pairs with the `provider` code, the video `link` ID,
+ * the parsed `linkTemplate`, the parsed `infobox`, and the `count`
+ * parameter and parsed `countTemplate` of the {{v}} template, which are
+ * null if the video has no view count
+ */
+function findViewCounts(text, infobox, isSupported, param = 'views') {
+    const pairs = [];
+    for (const template of findTemplates(text, infobox)) {
+        const countsParam = getParam(template, param);
+        const linksParam = getParam(template, 'links');
+        if (!countsParam || !linksParam) {
+            continue;
+        }
+        const views = {};
+        for (const view of findTemplates(
+            text, 'v', countsParam.start, countsParam.end
+        )) {
+            const provider = getParam(view, 1);
+            const count = getParam(view, 2);
+            if (provider && count && isSupported(provider.value)) {
+                views[provider.value] = views[provider.value] || [];
+                views[provider.value].push({
+                    count,
+                    template: view
+                });
+            }
+        }
+        for (const link of findTemplates(
+            text, 'l', linksParam.start, linksParam.end
+        )) {
+            const provider = getParam(link, 1);
+            const id = getParam(link, 2);
+            if (provider && id && isSupported(provider.value)) {
+                const view = views[provider.value]?.shift();
+                pairs.push({
+                    count: view?.count || null,
+                    countTemplate: view?.template || null,
+                    infobox: template,
+                    link: id.value,
+                    linkTemplate: link,
+                    provider: provider.value
+                });
+            }
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Replaces multiple non-overlapping spans of text at once.
+ * @param {string} text Text in which to replace
+ * @param {object[]} replacements Spans to replace, each with `start`,
+ * `end` and `text` to replace the span with
+ * @returns {string} Text with spans replaced
+ */
+function replaceSpans(text, replacements) {
+    return replacements
+        .slice()
+        .sort((a, b) => b.start - a.start)
+        .reduce(
+            (result, replacement) => result.slice(0, replacement.start) +
+                replacement.text +
+                result.slice(replacement.end),
+            text
+        );
+}
+
+/**
+ * Determines how to mark the {{l}} template of an unavailable video.
+ * @param {object} linkTemplate Parsed {{l}} template of the video
+ * @param {string?} param Parameter marking unavailable videos
+ * @returns {object?} Replacement adding the parameter to the {{l}}
+ * template, or null if it should not be marked
+ */
+function markUnavailable(linkTemplate, param) {
+    if (
+        !param ||
+        linkTemplate.params.some(
+            ({name, value}) => value === param || name === param
+        )
+    ) {
+        return null;
+    }
+    return {
+        end: linkTemplate.end - 2,
+        start: linkTemplate.end - 2,
+        text: `|${param}`
+    };
+}
+
+/**
+ * Determines how to set a parameter of a template. Existing parameters
+ * have their value replaced, while missing ones are added after the last
+ * parameter, on a new line in templates written over multiple lines.
+ * @param {string} text Wikitext the template is in
+ * @param {object} template Template parsed by `parseTemplate`
+ * @param {string|number} name Parameter name, or position for positional
+ * parameters, which are added as the next position when missing
+ * @param {string} value New parameter value
+ * @returns {object} Replacement setting the parameter
+ */
+function setParam(text, template, name, value) {
+    const param = getParam(template, name);
+    if (param) {
+        return {
+            end: param.end,
+            start: param.start,
+            text: value
+        };
+    }
+    const last = template.params[template.params.length - 1];
+    const position = last ? last.end : template.end - 2;
+    let insert = `|${name}=${value}`;
+    if (typeof name === 'number') {
+        insert = `|${value}`;
+    } else if (text.slice(template.start, template.end).includes('\n')) {
+        insert = `\n|${name} = ${value}`;
+    }
+    return {
+        end: position,
+        start: position,
+        text: insert
+    };
+}
+
+module.exports = {
+    addCategory,
+    findTemplates,
+    findViewCounts,
+    getParam,
+    hasCategory,
+    markUnavailable,
+    normalizeName,
+    parseTemplate,
+    parseTemplates,
+    replaceSpans,
+    setParam
+};
@@ -5,29 +5,38 @@
  */
 'use strict';
 
-const {writeFile} = require('fs/promises');
-const {argv, exit} = require('process');
+const process = require('process');
 const http = require('got');
-const {CookieJar} = require('tough-cookie');
-const xmlparser = require('xml-parser');
-const {parse} = require('node-html-parser');
-const {google} = require('googleapis');
 const Auth = require('./include/auth.js');
+const Dashboard = require('./include/dashboard.js');
+const Daemon = require('./include/daemon.js');
+const DryRunReport = require('./include/report.js');
+const Guards = require('./include/guards.js');
+const History = require('./include/history.js');
 const Lister = require('./include/list.js');
+const RateLimiter = require('./include/limiter.js');
 const Logger = require('./include/log.js');
-const {apiQuery, commafy, roundV} = require('./include/util.js');
+const MediaWiki = require('./include/mediawiki.js');
+const Milestones = require('./include/milestones.js');
+const RunMonitor = require('./include/monitor.js');
+const ProviderRegistry = require('./include/registry.js');
+const SummaryPublisher = require('./include/publisher.js');
+const RunSummary = require('./include/summary.js');
+const Schedule = require('./include/schedule.js');
+const StaleReport = require('./include/stale.js');
+const State = require('./include/state.js');
+const UnavailableReport = require('./include/unavailable.js');
+const ViewCountFetcher = require('./include/fetcher.js');
+const MediaWikiError = require('./include/wikierror.js');
+const {help, loadConfig} = require('./include/config.js');
+const {formatStats} = require('./include/stats.js');
+const {addCategory, replaceSpans} = require('./include/wikitext.js');
 const pkg = require('./package.json');
-// eslint-disable-next-line node/no-unpublished-require
-const {username} = require('./auth/wikia.json');
 
-const USER_AGENT = 'Vocaloid Wiki View Count Updater';
-// eslint-disable-next-line max-len
-const USER_AGENT_SCRAPER = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/104.0.5112.79 Safari/537.36';
-const VIEWS_REGEX = /\|\s*views\s*=\s*([^\n]+)\n/u;
-const LINKS_REGEX = /\|\s*links\s*=\s*([^\n]+)\n/u;
-const VIEW_REGEX = /\{\{v\|(\w{2})\|([^}]+)\}\}/gu;
-const LINK_REGEX = /\{\{l\|(\w{2})\|([^}|]+)(?:\|([^}]+))?\}\}/gu;
-const PIAPRO_REGEX = /<span>閲覧数：<\/span>([\d,]+)/u;
+const {argv, exit} = process;
+
+const BATCH_SIZE = 50;
+const EDIT_CONFLICT_RETRIES = 3;
 
 /**
  * Main class of the project.
@@ -35,396 +44,945 @@ const PIAPRO_REGEX = /<span>閲覧数：<\/span>([\d,]+)/u;
 class VWVCU {
     /**
      * Class constructor.
+     * @param {object} config Configuration, as loaded by `loadConfig`
      */
-    constructor() {
-        const domain = argv.find(arg => arg.startsWith('--domain='));
-        this._domain = domain ? domain.substring(9) : 'vocaloid.fandom.com';
-        this._auth = new Auth();
-        this._lister = new Lister({
-            domain: this._domain,
-            file: argv.includes('--list')
+    constructor(config) {
+        this._config = config;
+        this._domain = config.domain;
+        const api = `https://${this._domain}${config.apiPath}`;
+        this._auth = new Auth({
+            api,
+            secrets: config.secrets,
+            userAgent: config.userAgent
+        });
+        this._wiki = new MediaWiki({
+            login: this.#login.bind(this),
+            maxlag: config.maxlag,
+            retries: config.retries,
+            url: api,
+            userAgent: config.userAgent
         });
+        this._providers = new ProviderRegistry();
+        this._providers.load(config.providers || undefined);
+        this.#setupRequests();
         Logger.setup({
-            dir: 'logs',
-            level: 'debug'
+            dir: config.logDir,
+            format: config.logFormat,
+            level: config.logLevel,
+            maxSize: config.logMaxSize,
+            rotate: config.logRotate
         });
         this._logger = new Logger({
             file: true,
             name: 'main',
             stdout: true
         });
-        this._noBot = argv.includes('--no-bot');
-        this._noEdit = argv.includes('--no-edit');
+        this._noBot = !config.bot;
+        this._noEdit = !config.edit;
+        if (this._noEdit) {
+            this._report = new DryRunReport({
+                format: config.report
+            });
+        }
+        this._pageCache = new Map();
+        this._inProgress = new Set();
+        this._pages = [];
+        this._state = new State();
+        this._history = new History({
+            logger: this._logger
+        });
+        this._lister = new Lister({
+            category: config.category,
+            file: config.list,
+            history: config.order === 'stale' ? this._history : null,
+            limit: config.limit,
+            links: config.links,
+            namespace: config.namespace,
+            page: config.page,
+            recursive: config.recursive,
+            search: config.search,
+            since: config.since,
+            template: config.template,
+            wiki: this._wiki
+        });
+        this._milestones = new Milestones({
+            rules: config.milestones
+        });
+        this._guards = new Guards({
+            history: this._history,
+            rules: config.guards
+        });
+        this._unavailable = new UnavailableReport();
+        this._stale = new StaleReport({
+            maxAge: config.staleDays
+        });
+        this._summary = new RunSummary({
+            dryRun: this._noEdit
+        });
+        this._publisher = new SummaryPublisher({
+            history: this._history,
+            providers: this._providers,
+            publish: this.#publish.bind(this),
+            runLogPage: config.runLogPage,
+            summary: this._summary,
+            topLimit: config.topLimit,
+            topPages: config.topPages
+        });
+        this._fetcher = new ViewCountFetcher({
+            dateArg: config.dateArg,
+            dateParam: config.dateParam,
+            guards: this._guards,
+            history: this._history,
+            limiters: this._providerLimiters,
+            logger: this._logger,
+            providers: this._providers,
+            stale: this._stale,
+            statParams: config.statParams,
+            summary: this._summary,
+            template: config.template,
+            unavailable: this._unavailable,
+            unavailableParam: config.unavailableParam
+        });
         this._logger.info(`${pkg.name} v${pkg.version}: Initializing`);
     }
     /**
      * Runs the Vocaloid Wiki View Count Updater.
      */
     async run() {
-        let tokens = null;
-        let pages = null;
+        this._summary.start();
+        this._fetcher.clearCaches();
+        const tokens = await this.#authenticate();
+        if (!tokens) {
+            return;
+        }
         try {
-            this._logger.info('Authenticating with services...');
-            tokens = await this._auth.run();
+            this._pages = await this.#restore();
         } catch (error) {
-            this._logger.error('Authentication error:', error);
+            this._logger.error('Failed to load run state:', error);
             return;
         }
+        process.once('SIGINT', this.#interrupt.bind(this));
+        process.once('SIGTERM', this.#interrupt.bind(this));
+        await this.#startDashboard();
+        const pages = this._pages;
         try {
             this._logger.info('Authentication succeeded, listing pages...');
-            pages = await this._lister.run(tokens.wikia);
-            this._logger.info(pages.length, 'pages to process.');
+            while (
+                !this._fetcher.quotaExceeded &&
+                await this.#fillQueue(pages)
+            ) {
+                await this.#processBatch(pages, tokens);
+            }
         } catch (error) {
             this._logger.error('Failed to list pages:', error);
+            await this.#shutdown();
             return;
         }
-        while (pages.length > 0) {
-            const page = pages.shift();
-            this._logger.debug('Processing', page, '...');
-            try {
-                await this.#processPage(page, pages, tokens);
-            } catch (error) {
-                this._logger.error('Failed to process page', page, error);
-            }
+        if (this._fetcher.quotaExceeded) {
+            await this.#shutdown();
+            this._logger.error(
+                'YouTube API daily quota exceeded. Restart the bot ' +
+                'after 1 day with `npm run resume`'
+            );
+            return;
         }
+        this._state.finished = true;
+        await this.#shutdown();
         this._logger.info('Finished!');
     }
     /**
-     * Gets page contents and other important information.
-     * @param {string} page Page to fetch
-     * @param {CookieJar} jar Fandom cookie jar
-     * @returns {Promise} Promise to listen on for response
-     * @private
+     * Runs the Vocaloid Wiki View Count Updater as a daemon, checking pages
+     * as they become due until it receives a signal to stop.
      */
-    #getPage(page, jar) {
-        return apiQuery(this._domain, jar, 'query', 'GET', {
-            indexpageids: 1,
-            meta: 'tokens',
-            prop: 'revisions',
-            rvlimit: 1,
-            rvprop: 'content',
-            rvslots: 'main',
-            titles: page,
-            type: 'csrf'
+    async daemon() {
+        const tokens = await this.#authenticate();
+        if (!tokens) {
+            return;
+        }
+        const {listInterval, maxInterval, minInterval} = this._config;
+        this._schedule = new Schedule({
+            maxInterval,
+            minInterval
         });
+        try {
+            await this._schedule.load();
+        } catch (error) {
+            this._logger.error('Failed to load the schedule:', error);
+            return;
+        }
+        this._daemon = new Daemon({
+            check: this.#checkDue.bind(this, tokens),
+            fetcher: this._fetcher,
+            listInterval,
+            lister: this._lister,
+            logger: this._logger,
+            publish: this.#publishPeriod.bind(this),
+            publishInterval: this._config.publishInterval,
+            schedule: this._schedule
+        });
+        process.once('SIGINT', this.#stop.bind(this));
+        process.once('SIGTERM', this.#stop.bind(this));
+        await this.#startDashboard();
+        this._logger.info('Authentication succeeded, running as a daemon...');
+        await this._daemon.run();
+        await this.#checkpoint();
+        await this.#writeReports();
+        await this._history.close();
+        await this._dashboard?.stop();
+        await this.#summarize();
+        this._logger.info('Stopped.');
     }
     /**
-     * Processes views on one page by reading existing content, fetching
-     * new views and editing the page if needed.
-     * @param {string} page Page to process
-     * @param {string[]} pages Pages left to process
+     * Records the summary of checks since the last time summary pages were
+     * published as one run, and publishes them again.
+     * @private
+     */
+    async #publishPeriod() {
+        await this.#summarize();
+        await this.#publishSummaries();
+        this._summary.start();
+    }
+    /**
+     * Checks pages that are due according to the schedule.
      * @param {object} tokens Various authentication tokens
+     * @param {string[]} pages Due pages
      * @private
      */
-    async #processPage(page, pages, tokens) {
-        const {error, query} = await this.#getPage(page, tokens.wikia);
-        if (error) {
-            this._logger.error('Error while fetching page contents', error);
-            return;
+    async #checkDue(tokens, pages) {
+        this._fetcher.clearCaches();
+        this._state.reset();
+        this._pages = pages;
+        while (
+            pages.length > 0 &&
+            !this._daemon.stopping &&
+            !this._fetcher.quotaExceeded
+        ) {
+            await this.#processBatch(pages, tokens);
         }
-        const [{title, revisions, missing}] = query.pages;
-        const token = query.tokens.csrftoken;
-        if (missing) {
-            this._logger.error('Page does not exist:', title);
+    }
+    /**
+     * Stops the daemon once pages being processed are done.
+     * @param {string} signal Received signal
+     * @private
+     */
+    #stop(signal) {
+        this._logger.warn(
+            'Received',
+            signal,
+            '- stopping after pages being processed are done.'
+        );
+        this._monitor?.resume();
+        this._daemon.stop();
+    }
+    /**
+     * Starts the dashboard, if configured.
+     * @private
+     */
+    async #startDashboard() {
+        const {dashboardHost, dashboardPort} = this._config;
+        if (dashboardPort === null) {
             return;
         }
-        const {content} = revisions[0].slots.main;
-        const matches = this.#extractContent(content);
-        if (matches.length === 0) {
-            this._logger.debug('No supported providers to update');
+        this._monitor = new RunMonitor();
+        const dashboard = new Dashboard({
+            enqueue: this.#enqueue.bind(this),
+            fetcher: this._fetcher,
+            host: dashboardHost,
+            inProgress: this._inProgress,
+            logger: this._logger,
+            monitor: this._monitor,
+            port: dashboardPort,
+            providers: this._providers,
+            queue: () => this._pages,
+            skip: this.#skip.bind(this),
+            summary: this._summary
+        });
+        try {
+            await dashboard.start();
+            this._dashboard = dashboard;
+            this._logger.info('Dashboard running on', dashboard.url);
+        } catch (error) {
+            this._logger.error('Failed to start the dashboard:', error);
+        }
+    }
+    /**
+     * Removes a page from the queue. When running as a daemon, its check is
+     * also postponed, so that it is not due again in the next check.
+     * @param {string} page Page to skip
+     * @returns {boolean} Whether the page was in the queue
+     * @private
+     */
+    #skip(page) {
+        const index = this._pages.indexOf(page);
+        if (index === -1) {
+            return false;
+        }
+        this._pages.splice(index, 1);
+        this._schedule?.postpone(page);
+        return true;
+    }
+    /**
+     * Processes a page next, or checks it right away when running as a
+     * daemon.
+     * @param {string} page Page to process
+     * @private
+     */
+    #enqueue(page) {
+        if (this._daemon) {
+            this._schedule.checkNow(page);
+            this._daemon.wake();
             return;
         }
-        let newContent = content;
-        for (const match of matches) {
-            newContent = await this.#processMatch(
-                page, pages, tokens, newContent, match
-            );
+        const index = this._pages.indexOf(page);
+        if (index !== -1) {
+            this._pages.splice(index, 1);
         }
-        if (newContent === content) {
-            this._logger.debug('Nothing to change on', title);
-        } else {
-            await this.#doEdit(title, newContent, token, tokens.wikia);
+        this._pages.unshift(page);
+    }
+    /**
+     * Authenticates with the wiki and services providers need.
+     * @returns {Promise<object?>} Various authentication tokens, or null if
+     * authentication failed
+     * @private
+     */
+    async #authenticate() {
+        try {
+            this._logger.info('Authenticating with services...');
+            const tokens = await this._auth.run(this._providers.authServices());
+            this._tokens = tokens;
+            this.#disableUnauthenticated(tokens);
+            this._wiki.setSession(tokens.wikia);
+            const {userinfo} = await this._wiki.query({
+                meta: 'userinfo'
+            });
+            this._username = userinfo.name;
+            return tokens;
+        } catch (error) {
+            this._logger.error('Authentication error:', error);
+            return null;
         }
     }
     /**
-     * Processes one match of a supported provider's {{v}} template on the
-     * page and replaces the content with new content that has up to
-     * date views.
-     * @param {string} page Page to process
-     * @param {string[]} pages Pages left to process
+     * Disables providers whose authentication service had no credentials.
      * @param {object} tokens Various authentication tokens
-     * @param {string} content Old page content
-     * @param {object} match Match to process
-     * @param {string} match.link ID of the video
-     * @param {string} match.provider Video provider
-     * @param {number} match.views Current views written on the page
-     * @returns {string} New page content after replacement
-     */
-    async #processMatch(page, pages, tokens, content, {link, provider, views}) {
-        try {
-            const count = await this[`_${provider}`](link, views, tokens);
-            if (roundV(views) === roundV(count)) {
-                this._logger.debug(
-                    'Not enough view count difference for',
-                    provider,
-                    'on',
-                    page
+     * @private
+     */
+    #disableUnauthenticated(tokens) {
+        for (const provider of this._providers.all()) {
+            if (provider.auth && !tokens[provider.auth]) {
+                this._logger.warn(
+                    'No credentials for',
+                    provider.auth,
+                    '- disabling',
+                    provider.name
                 );
-                return content;
+                this._providers.disable(provider.code);
             }
-            this._logger.debug('View count: old', views, 'new', count);
-            return content.replace(
-                `{{v|${provider}|${commafy(views)}}}`,
-                `{{v|${provider}|${commafy(count)}}}`
-            );
-        } catch (viewsError) {
-            if (
-                viewsError.message && (
-                    viewsError.message.startsWith('Daily Limit Exceeded') ||
-                    viewsError.message.includes('quota')
-                ) ||
-                viewsError.response &&
-                viewsError.response.code === 403
-            ) {
-                pages.unshift(page);
-                await writeFile('list.txt', pages.join('\n'));
-                this._logger.error(
-                    'YouTube API daily quota exceeded. Restart the bot ' +
-                    'after 1 day with `npm run list`'
-                );
-                exit(0);
-            } else if (viewsError.code === 'ERR_NON_2XX_3XX_RESPONSE') {
-                this._logger.error(
-                    'Error while fetching view counts for',
-                    page,
-                    viewsError.response
-                );
-            } else {
-                this._logger.error(
-                    'Error while fetching view counts for',
-                    page,
-                    viewsError
+        }
+    }
+    /**
+     * Logs in to the wiki again after the session expired.
+     * @returns {Promise<object>} New wiki session
+     * @private
+     */
+    async #login() {
+        this._logger.warn('Session expired, logging in again...');
+        const {wikia} = await this._auth.run([]);
+        this._tokens.wikia = wikia;
+        return wikia;
+    }
+    /**
+     * Prints statistics about the view count history.
+     */
+    async stats() {
+        try {
+            const entries = await this._history.load();
+            console.info(formatStats(entries, {
+                days: this._config.days
+            }));
+        } catch (error) {
+            this._logger.error('Failed to generate statistics:', error);
+        }
+    }
+    /**
+     * Restores the state of the last run if requested, or starts a new one.
+     * @returns {Promise<string[]>} Pages left to process
+     * @private
+     */
+    async #restore() {
+        if (this._config.resume) {
+            if (await this._state.load()) {
+                const {continuation, listed, pending, started} = this._state;
+                this._lister.resume(continuation, listed);
+                this._logger.info(
+                    'Resuming run started on',
+                    started,
+                    'with',
+                    pending.length,
+                    'pending pages.'
                 );
+                return [...pending];
             }
-            return content;
+            this._logger.warn('No run to resume, starting a new one.');
         }
+        this._state.reset();
+        return [];
     }
     /**
-     * Extracts current providers, video IDs and amount of views from page
-     * content.
-     * @param {string} content Page content
-     * @returns {object[]} Matches found in the current content
+     * Lists more pages if there are no more pages to process.
+     * @param {string[]} pages Pages left to process
+     * @returns {Promise<boolean>} Whether there are pages to process
      * @private
      */
-    #extractContent(content) {
-        if (!VIEWS_REGEX.exec(content) || !LINKS_REGEX.exec(content)) {
-            return [];
-        }
-        const views = {};
-        const matches = [];
-        let res3 = null;
-        let res4 = null;
-        do {
-            res3 = VIEW_REGEX.exec(content);
-            if (res3 && this[`_${res3[1]}`]) {
-                const [_, provider] = res3;
-                views[provider] = views[provider] || [];
-                views[provider].push(Number(res3[2].replace(/,|\.|\s|\|.*/gu, '')));
-            }
-        } while (res3);
-        VIEW_REGEX.lastIndex = 0;
-        do {
-            res4 = LINK_REGEX.exec(content);
-            if (res4 && this[`_${res4[1]}`] && views[res4[1]]) {
-                matches.push({
-                    link: res4[2],
-                    provider: res4[1],
-                    views: views[res4[1]].shift()
-                });
-            } else if (res4 && this[`_${res4[1]}`] && !views[res4[1]]) {
-                this._logger.warn('No view count found for', res4[1]);
-            }
-        } while (res4);
-        LINK_REGEX.lastIndex = 0;
-        return matches;
+    async #fillQueue(pages) {
+        while (pages.length === 0 && !this._lister.done) {
+            const listed = [...new Set(await this._lister.next())]
+                .filter(page => !this._state.processed.has(page) &&
+                    !this._inProgress.has(page));
+            pages.push(...listed);
+            this._state.continuation = this._lister.continuation;
+            this._state.listed = this._lister.done;
+            this._logger.info(listed.length, 'more pages to process.');
+            await this.#checkpoint();
+        }
+        return pages.length > 0;
+    }
+    /**
+     * Saves the current progress to the state file, or to the schedule when
+     * running as a daemon, so that the daemon does not overwrite the state
+     * of an interrupted run.
+     * @returns {Promise} Promise resolving once the state is saved
+     * @private
+     */
+    #checkpoint() {
+        if (this._schedule) {
+            return this._schedule.save();
+        }
+        return this._state.save([...this._inProgress, ...this._pages]);
     }
     /**
-     * Fetches bilibili video view count.
-     * @param {string} id Video ID
-     * @param {number} views Currently registered page views
+     * Saves progress, reports and history before the run ends, and
+     * publishes summary pages on the wiki if the run finished.
+     * @private
      */
-    async _bb(id, views) {
-        if (id.startsWith('au')) {
-            // Audio page, ignore.
-            return views;
+    async #shutdown() {
+        await this.#checkpoint();
+        await this.#writeReports();
+        await this._history.close();
+        await this._dashboard?.stop();
+        await this.#summarize();
+        if (this._state.finished) {
+            await this.#publishSummaries();
         }
-        const response = await http.get(
-            `https://www.bilibili.com/video/${id}/`,
-            {
-                headers: {
-                    'User-Agent': USER_AGENT_SCRAPER
-                }
+    }
+    /**
+     * Publishes summary pages on the wiki, unless in a dry run.
+     * @private
+     */
+    async #publishSummaries() {
+        if (this._noEdit) {
+            return;
+        }
+        try {
+            await this._publisher.publish();
+        } catch (error) {
+            this._logger.error('Failed to publish summary pages:', error);
+        }
+    }
+    /**
+     * Logs the summary of the run and records it with summaries of previous
+     * runs.
+     * @private
+     */
+    async #summarize() {
+        this._summary.finish();
+        this._logger.child({
+            summary: this._summary.toJSON()
+        }).info(this._summary.format());
+        await this._summary.save();
+    }
+    /**
+     * Writes reports of the run, and publishes the list of unavailable
+     * videos on the wiki if configured.
+     * @private
+     */
+    async #writeReports() {
+        for (const [name, report] of [
+            ['Dry run report', this._report],
+            ['Unavailable videos report', this._unavailable],
+            ['Outdated view counts report', this._stale]
+        ]) {
+            const file = await report?.write();
+            if (file) {
+                this._logger.info(name, 'written to', file);
             }
-        ).text();
-        const tree = parse(response, {script: true});
-        const script = tree.querySelector('script[type="application/ld+json"]');
-        if (!script) {
-            throw new Error(`Cannot find Bilibili LD-JSON data for ${id}!`);
         }
-        const data = JSON.parse(script.innerHTML);
-        if (data.interactionStatistic?.userInteractionCount) {
-            return data.interactionStatistic.userInteractionCount;
+        if (
+            this._unavailable.videos.length > 0 &&
+            this._config.unavailablePage &&
+            !this._noEdit
+        ) {
+            await this.#publish(
+                this._config.unavailablePage,
+                this._unavailable.wikitext(),
+                'Updating list of unavailable videos'
+            );
+        }
+    }
+    /**
+     * Publishes a bot-generated page on the wiki.
+     * @param {string} title Page title
+     * @param {string} content Page content
+     * @param {string} summary Edit summary
+     * @private
+     */
+    async #publish(title, content, summary) {
+        try {
+            await this.#doEdit(title, content, {
+                summary
+            });
+        } catch (error) {
+            this._logger.error('Failed to publish', title, error);
+        }
+    }
+    /**
+     * Saves progress and exits when the process is interrupted.
+     * @param {string} signal Received signal
+     * @private
+     */
+    async #interrupt(signal) {
+        this._logger.warn(
+            'Received',
+            signal,
+            '- saving progress. Continue with `npm run resume`.'
+        );
+        try {
+            await this.#shutdown();
+        } catch (error) {
+            this._logger.error('Failed to save progress:', error);
         }
-        throw new Error(`No bilibili view count: ${JSON.stringify(response)}`);
+        await this._logger.close();
+        exit(1);
     }
     /**
-     * Fetches Niconico video view count.
-     * @param {string} id Video ID
+     * Sets up limiters for providers, hosts they request and edits, and
+     * HTTP clients waiting for host limiters.
+     * @private
      */
-    async _nn(id) {
-        const response = await http.get(`https://ext.nicovideo.jp/api/getthumbinfo/${id}`, {
+    #setupRequests() {
+        const {concurrency, editInterval, hosts, limits} = this._config;
+        this._concurrency = Math.max(Math.floor(concurrency), 1);
+        this._editLimiter = new RateLimiter({
+            concurrency: 1,
+            interval: editInterval
+        });
+        const limiters = RateLimiter.forProviders(this._providers.all(), {
+            hosts,
+            limits
+        });
+        this._hostLimiters = limiters.hosts;
+        this._providerLimiters = limiters.providers;
+        const hooks = {
+            beforeRequest: [
+                options => this._hostLimiters.get(options.url.hostname)
+                    ?.wait()
+            ]
+        };
+        this._http = http.extend({
             headers: {
-                'User-Agent': USER_AGENT
+                'User-Agent': this._config.userAgent
+            },
+            hooks
+        });
+        this._scraper = http.extend({
+            headers: {
+                'User-Agent': this._config.scraperUserAgent
+            },
+            hooks
+        });
+    }
+    /**
+     * Processes the next batch of pages.
+     * @param {string[]} pages Pages left to process
+     * @param {object} tokens Various authentication tokens
+     * @private
+     */
+    async #processBatch(pages, tokens) {
+        await this.#prefetch(pages.slice(0, BATCH_SIZE), tokens);
+        const batch = {
+            left: BATCH_SIZE
+        };
+        await Promise.all(Array.from(
+            {length: this._concurrency},
+            () => this.#work(pages, tokens, batch)
+        ));
+    }
+    /**
+     * Processes pages from the current batch until there are none left,
+     * the YouTube API quota is exceeded or the daemon is stopping.
+     * Multiple workers run at the same time, up to the configured
+     * concurrency.
+     * @param {string[]} pages Pages left to process
+     * @param {object} tokens Various authentication tokens
+     * @param {object} batch Current batch information
+     * @param {number} batch.left Number of pages left in the current batch
+     * @private
+     */
+    async #work(pages, tokens, batch) {
+        while (
+            batch.left > 0 &&
+            pages.length > 0 &&
+            !this._fetcher.quotaExceeded &&
+            !this._daemon?.stopping
+        ) {
+            if (this._monitor?.paused) {
+                await this._monitor.wait();
+                continue;
+            }
+            --batch.left;
+            const page = pages.shift();
+            this._inProgress.add(page);
+            this._logger.debug('Processing', page, '...');
+            this._summary.scanned();
+            try {
+                const fetched = await this.#processPage(page, tokens);
+                this.#reschedule(page, fetched);
+            } catch (error) {
+                if (this._fetcher.quotaExceeded) {
+                    // Leave the page for the resumed run.
+                    this._inProgress.delete(page);
+                    pages.unshift(page);
+                    return;
+                }
+                this._logger.child({
+                    page
+                }).error('Failed to process page', page, error);
+                this._state.fail(page, String(error));
+                this._summary.failed();
+                this._schedule?.retry(page);
+            }
+            this._state.done(page);
+            this._inProgress.delete(page);
+            try {
+                await this.#checkpoint();
+            } catch (error) {
+                this._logger.error('Failed to save the checkpoint:', error);
             }
-        }).text();
-        const counter = xmlparser(response)
-            .root
-            .children[0]
-            .children
-            .find(c => c.name === 'view_counter');
-        if (!counter) {
-            throw new Error(`[nn] unavailable video ${id}`);
         }
-        return Number(counter.content);
     }
     /**
-     * Fetches view count of a Piapro video.
-     * @param {string} id Video ID
+     * Schedules the next check of a processed page, when running as a
+     * daemon. Unavailable videos are left out, so that pages with only
+     * unavailable videos are checked again after the longest interval.
+     * @param {string} page Processed page
+     * @param {Map<string, object>} fetched Results of processed matches on
+     * the page, keyed by provider and video ID
+     * @private
      */
-    async _pp(id) {
-        const response = await http.get(`https://piapro.jp/t/${id}`, {
-            headers: {
-                'User-Agent': USER_AGENT_SCRAPER
+    #reschedule(page, fetched) {
+        if (!this._schedule) {
+            return;
+        }
+        const counts = new Map();
+        for (const [key, result] of fetched) {
+            if (!result?.unavailable) {
+                counts.set(key, result?.count ?? null);
             }
-        }).text();
-        const res = PIAPRO_REGEX.exec(response);
-        if (res) {
-            return Number(res[1].replace(/,/gu, ''));
         }
-        throw new Error('[piapro] Unable to find view count');
+        const interval = this._schedule.update(page, counts);
+        if (interval !== null) {
+            this._logger.debug('Checking', page, 'again in', interval, 'days');
+        }
+    }
+    /**
+     * Gets contents and other important information of multiple pages.
+     * @param {string[]} pages Pages to fetch
+     * @returns {Promise<object>} API response, with the `curtimestamp` the
+     * pages were fetched at
+     * @private
+     */
+    #getPages(pages) {
+        return this._wiki.request('query', 'GET', {
+            curtimestamp: 1,
+            prop: 'revisions',
+            rvprop: 'content|timestamp',
+            rvslots: 'main',
+            titles: pages.join('|')
+        });
     }
     /**
-     * Fetches view count of a SoundCloud track.
-     * @param {string} id SoundCloud track ID
+     * Fetches contents of a batch of pages and lets providers that support
+     * it fetch view counts of all videos on these pages at once.
+     * @param {string[]} pages Pages to prefetch
+     * @param {object} tokens Various authentication tokens
+     * @private
      */
-    async _sc(id) {
+    async #prefetch(pages, tokens) {
+        this._pageCache.clear();
         try {
-            const response = await http.get(`https://soundcloud.com/${id}`, {
-                headers: {
-                    'User-Agent': USER_AGENT_SCRAPER
+            const {curtimestamp, query} = await this.#getPages(pages);
+            const normalized = new Map((query.normalized || [])
+                .map(({from, to}) => [to, from]));
+            for (const page of query.pages) {
+                /*
+                 * Pages without revisions were cut off by the result size
+                 * limit, and are fetched separately while processing.
+                 */
+                if (page.revisions || page.missing) {
+                    this._pageCache.set(
+                        normalized.get(page.title) || page.title,
+                        {
+                            page,
+                            starttimestamp: curtimestamp
+                        }
+                    );
                 }
-            }).text();
-            const parsed = parse(response, {script: true});
-            const scripts = parsed.querySelectorAll('script:not([src])');
-            const content = scripts[scripts.length - 1].innerHTML;
-            const json = content.slice(
-                content.indexOf('[{'),
-                content.lastIndexOf('}]') + 2
-            );
-            try {
-                const parsedJson = JSON.parse(json);
-                return parsedJson
-                    .find(obj => obj.hydratable === 'sound')
-                    .data
-                    .playback_count;
-            } catch (jsonError) {
-                throw new Error(`SoundCloud JSON parsing error: ${jsonError}`);
             }
         } catch (error) {
-            if (error && error.statusCode && error.statusCode === 404) {
-                throw new Error(`[soundcloud] Not found: https://soundcloud.com/${id}`);
+            this._logger.warn('Failed to prefetch pages', error);
+            return;
+        }
+        const links = new Map();
+        for (const {page} of this._pageCache.values()) {
+            if (page.revisions) {
+                const {content} = page.revisions[0].slots.main;
+                for (const {link, provider} of this._fetcher.extract(content)) {
+                    links.set(provider, [...links.get(provider) || [], link]);
+                }
             }
-            throw error;
         }
+        await this._fetcher.prefetch(links, {
+            http: this._http,
+            scraper: this._scraper,
+            tokens
+        });
     }
     /**
-     * Fetches Vimeo video view count.
-     * @param {string} id Video ID
-     * @param {number} views Currently registered page views
+     * Gets page contents, either from the prefetched batch or from the API.
+     * @param {string} page Page to fetch
+     * @returns {Promise<object>} Page information and the time it was
+     * fetched at
+     * @private
+     */
+    async #getPage(page) {
+        const cached = this._pageCache.get(page);
+        if (cached) {
+            this._pageCache.delete(page);
+            return cached;
+        }
+        const {curtimestamp, query} = await this.#getPages([page]);
+        return {
+            page: query.pages[0],
+            starttimestamp: curtimestamp
+        };
+    }
+    /**
+     * Processes views on one page, starting over if somebody else edited
+     * the page while it was being processed.
+     * @param {string} page Page to process
      * @param {object} tokens Various authentication tokens
+     * @returns {Promise<Map<string, object>>} Results of processed matches
+     * on the page, keyed by provider and video ID
+     * @private
      */
-    async _vm(id, views, tokens) {
-        const response = await http.get(`https://api.vimeo.com/videos/${id}`, {
-            headers: {
-                'Accept': 'application/vnd.vimeo.video+json;version=3.4',
-                'Authorization': `Bearer ${tokens.vimeo}`,
-                'User-Agent': USER_AGENT
+    async #processPage(page, tokens) {
+        const fetched = new Map();
+        for (let attempt = 1; ; ++attempt) {
+            try {
+                await this.#updatePage(page, tokens, fetched);
+                return fetched;
+            } catch (error) {
+                if (
+                    !(error instanceof MediaWikiError) ||
+                    error.code !== 'editconflict' ||
+                    attempt >= EDIT_CONFLICT_RETRIES
+                ) {
+                    throw error;
+                }
+                this._logger.warn('Edit conflict on', page, '- retrying');
             }
-        }).json();
-        return response.stats.plays;
+        }
     }
     /**
-     * Fetches YouTube video view count.
-     * @param {string} id Video ID
-     * @param {number} views Currently registered page views
+     * Updates views on one page by reading existing content, fetching
+     * new views and editing the page if needed.
+     * @param {string} page Page to update
      * @param {object} tokens Various authentication tokens
+     * @param {Map<string, object>} fetched View counts already fetched for
+     * the page, reused when updating the page again after an edit conflict
+     * @private
      */
-    async _yt(id, views, tokens) {
-        const youtube = google.youtube('v3');
-        const response = await youtube.videos.list({
-            auth: tokens.google,
-            id,
-            part: 'statistics'
+    async #updatePage(page, tokens, fetched) {
+        const {page: pageInfo, starttimestamp} = await this.#getPage(page);
+        const {title, revisions, missing} = pageInfo;
+        if (missing) {
+            this._logger.error('Page does not exist:', title);
+            this._state.fail(page, 'Page does not exist');
+            this._summary.failed();
+            this._schedule?.remove(page);
+            return;
+        }
+        const [{slots, timestamp}] = revisions;
+        const {content} = slots.main;
+        const matches = this._fetcher.extract(content);
+        if (matches.length === 0) {
+            this._logger.debug('No supported providers to update');
+            this._summary.unchanged();
+            return;
+        }
+        const {
+            changes,
+            replacements,
+            unavailable
+        } = await this._fetcher.fetchAll(page, content, [
+            ...matches,
+            ...Object.keys(this._config.statParams)
+                .flatMap(stat => this._fetcher.extract(content, stat))
+        ].map(match => ({
+            ...match,
+            updated: timestamp
+        })), fetched, {
+            http: this._http,
+            scraper: this._scraper,
+            tokens
         });
-        if (
-            !response ||
-            !response.data ||
-            !(response.data.items instanceof Array)
-        ) {
-            throw new Error('[youtube] Response data not valid');
-        } else if (response.data.items.length === 0) {
-            throw new Error(`[youtube] Video with ID ${id} not found`);
+        let updatedContent = replaceSpans(content, replacements);
+        if (unavailable && this._config.unavailableCategory) {
+            updatedContent = addCategory(
+                updatedContent,
+                this._config.unavailableCategory
+            );
+        }
+        const {
+            content: newContent,
+            events
+        } = this._milestones.apply(updatedContent, changes);
+        for (const {rule} of events) {
+            this._logger.info(title, 'reached', rule.name);
+        }
+        await this.#saveChanges(title, content, newContent, {
+            basetimestamp: timestamp,
+            changes,
+            events,
+            starttimestamp
+        });
+    }
+    /**
+     * Edits a page with updated view counts, or adds the changes to the
+     * dry run report when not editing.
+     * @param {string} title Page title
+     * @param {string} content Current page content
+     * @param {string} newContent Page content with updated view counts
+     * @param {object} update Details of the update
+     * @param {object[]} update.changes Changed view counts
+     * @param {object[]} update.events Crossed milestones
+     * @param {string} update.basetimestamp Timestamp of the edited revision
+     * @param {string} update.starttimestamp Time the page was fetched at
+     * @private
+     */
+    async #saveChanges(title, content, newContent, update) {
+        const {basetimestamp, changes, events, starttimestamp} = update;
+        if (newContent === content) {
+            this._logger.debug('Nothing to change on', title);
+            this._summary.unchanged();
+        } else if (this._noEdit) {
+            const diff = this._report.add(title, content, newContent, changes);
+            this._logger.debug('Changes to post:');
+            this._logger.debug(diff);
+            this._monitor?.edited(title, content, newContent, changes, true);
+            this._summary.edited();
+        } else {
+            try {
+                await this.#doEdit(title, newContent, {
+                    basetimestamp,
+                    starttimestamp
+                });
+            } catch (error) {
+                if (
+                    error instanceof MediaWikiError &&
+                    error.code === 'editconflict'
+                ) {
+                    throw error;
+                }
+                this._logger.child({
+                    page: title
+                }).error('An error occurred while editing', title, error);
+                this._state.fail(title, String(error));
+                this._summary.failed();
+                return;
+            }
+            await this._milestones.log(title, events);
+            this._monitor?.edited(title, content, newContent, changes, false);
+            this._summary.edited();
         }
-        return Number(response.data.items[0].statistics.viewCount);
     }
     /**
      * Edits a page with specified title and content.
      * @param {string} title Page title
      * @param {string} content Page content
-     * @param {string} token Token to use in edit
-     * @param {CookieJar} jar Fandom cookie jar
+     * @param {object} options Edit options
+     * @param {string} options.summary Edit summary, if not updating view
+     * counts
+     * @param {string} options.basetimestamp Timestamp of the edited
+     * revision, for detecting edit conflicts
+     * @param {string} options.starttimestamp Time the page was fetched at,
+     * for detecting edit conflicts
+     * @returns {Promise} Promise resolving once the page is edited
+     * @throws {MediaWikiError} If the edit failed
      * @private
      */
-    async #doEdit(title, content, token, jar) {
-        if (this._noEdit) {
-            this._logger.debug('Content to post:');
-            this._logger.debug(content);
-            return;
-        }
-        try {
-            const data = await apiQuery(this._domain, jar, 'edit', 'POST', {
-                bot: !this._noBot,
-                minor: true,
-                summary: `Updating view count ([[User:${username}|automatic]])`,
-                text: content,
-                title,
-                token
-            });
-            if (data.error) {
-                this._logger.error(
-                    'MediaWiki API error while editing',
-                    title,
-                    ':',
-                    data.error
-                );
-            } else {
-                this._logger.debug('Finished editing', title);
-            }
-        } catch (error) {
-            this._logger.error('An error occurred while editing', title, error);
+    async #doEdit(title, content, {
+        summary = this._config.summary,
+        basetimestamp,
+        starttimestamp
+    } = {}) {
+        await this._editLimiter.run(() => this._wiki.edit({
+            basetimestamp,
+            bot: this._noBot ? undefined : true,
+            minor: true,
+            starttimestamp,
+            summary: `${summary} ([[User:${this._username}|automatic]])`,
+            text: content,
+            title
+        }));
+        this._logger.debug('Finished editing', title);
+    }
+}
+
+/**
+ * Runs the bot with configuration from the configuration file and
+ * command-line arguments.
+ */
+async function main() {
+    let config = null;
+    try {
+        config = loadConfig(argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error('Run with --help to see the available options.');
+        exit(1);
+    }
+    if (config.help) {
+        console.info(help());
+        exit(0);
+    }
+    const client = new VWVCU(config);
+    try {
+        if (config.stats) {
+            await client.stats();
+        } else if (config.daemon) {
+            await client.daemon();
+        } else {
+            await client.run();
         }
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        process.exitCode = 1;
     }
 }
 
-const client = new VWVCU();
-client.run();
+if (require.main === module) {
+    main();
+}
+
+module.exports = VWVCU;
@@ -0,0 +1,143 @@
+/**
+ * auth.test.js
+ *
+ * Tests for reading credentials and logging in to the wiki.
+ */
+'use strict';
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const process = require('process');
+const {mkdtemp, rm, writeFile} = require('fs/promises');
+const Auth = require('../include/auth.js');
+const {MockServer} = require('./server.js');
+
+const API = 'wiki.test/api.php';
+const ENV_VARIABLES = [
+    'GOOGLE_APPLICATION_CREDENTIALS',
+    'VWVCU_GOOGLE_CREDENTIALS',
+    'VWVCU_VIMEO_TOKEN',
+    'VWVCU_WIKI_ACCESS_TOKEN',
+    'VWVCU_WIKI_PASSWORD',
+    'VWVCU_WIKI_USERNAME'
+];
+
+describe('Auth', function() {
+    const server = new MockServer();
+    const saved = {};
+    const cwd = process.cwd();
+    let dir = null;
+    let auth = null;
+
+    before(async function() {
+        await server.start();
+    });
+
+    after(async function() {
+        await server.stop();
+    });
+
+    beforeEach(async function() {
+        for (const name of ENV_VARIABLES) {
+            saved[name] = process.env[name];
+            delete process.env[name];
+        }
+        dir = await mkdtemp(path.join(os.tmpdir(), 'vwvcu-auth-'));
+        process.chdir(dir);
+        auth = new Auth({
+            api: `${server.url}/${API}`,
+            userAgent: 'Test'
+        });
+    });
+
+    afterEach(async function() {
+        process.chdir(cwd);
+        await rm(dir, {
+            force: true,
+            recursive: true
+        });
+        for (const name of ENV_VARIABLES) {
+            if (saved[name] === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = saved[name];
+            }
+        }
+        server.reset();
+    });
+
+    it('reads credentials from environment variables', async function() {
+        process.env.VWVCU_WIKI_ACCESS_TOKEN = 'wikitoken';
+        process.env.VWVCU_VIMEO_TOKEN = 'vimeotoken';
+        assert.deepStrictEqual(await auth.run(['vimeo']), {
+            vimeo: 'vimeotoken',
+            wikia: {
+                accessToken: 'wikitoken'
+            }
+        });
+        assert.strictEqual(server.requests.length, 0);
+    });
+    it('reads credentials from the secrets file', async function() {
+        const secrets = path.join(dir, 'secrets.json');
+        await writeFile(secrets, JSON.stringify({
+            vimeo: 'vimeotoken',
+            wikia: {
+                accessToken: 'wikitoken'
+            }
+        }));
+        auth = new Auth({
+            secrets
+        });
+        assert.deepStrictEqual(await auth.run(), {
+            vimeo: 'vimeotoken',
+            wikia: {
+                accessToken: 'wikitoken'
+            }
+        });
+    });
+    it('requires wiki credentials', async function() {
+        process.env.VWVCU_VIMEO_TOKEN = 'vimeotoken';
+        await assert.rejects(auth.run(['vimeo']), {
+            message: 'No wiki credentials found!'
+        });
+    });
+    it('rejects unknown services', async function() {
+        process.env.VWVCU_WIKI_ACCESS_TOKEN = 'wikitoken';
+        await assert.rejects(auth.run(['dailymotion']), {
+            message: 'Unknown authentication service: dailymotion'
+        });
+    });
+    it('logs in with a bot password', async function() {
+        process.env.VWVCU_WIKI_USERNAME = 'User@bot';
+        process.env.VWVCU_WIKI_PASSWORD = 'secret';
+        server.route(API, ({method}) => ({
+            body: method === 'GET' ?
+                {query: {tokens: {logintoken: 'logintoken'}}} :
+                {login: {result: 'Success'}}
+        }));
+        const {wikia} = await auth.run([]);
+        assert.ok(wikia.jar);
+        const [, login] = server.requestsTo(API);
+        assert.strictEqual(login.params.lgname, 'User@bot');
+        assert.strictEqual(login.params.lgpassword, 'secret');
+        assert.strictEqual(login.params.lgtoken, 'logintoken');
+    });
+    it('rejects invalid bot passwords', async function() {
+        process.env.VWVCU_WIKI_USERNAME = 'User@bot';
+        process.env.VWVCU_WIKI_PASSWORD = 'wrong';
+        server.route(API, ({method}) => ({
+            body: method === 'GET' ?
+                {query: {tokens: {logintoken: 'logintoken'}}} :
+                {
+                    login: {
+                        reason: 'Incorrect password',
+                        result: 'Failed'
+                    }
+                }
+        }));
+        await assert.rejects(auth.run([]), {
+            message: 'Invalid wiki credentials: Incorrect password'
+        });
+    });
+});
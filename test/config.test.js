@@ -0,0 +1,113 @@
+/**
+ * config.test.js
+ *
+ * Tests for loading configuration from files and command-line arguments.
+ */
+'use strict';
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const {mkdtemp, rm, writeFile} = require('fs/promises');
+const {loadConfig, parseArgs} = require('../include/config.js');
+
+describe('parseArgs', function() {
+    it('converts options to their types', function() {
+        assert.deepStrictEqual(parseArgs([
+            '--edit-interval=3000',
+            '--providers=nn, yt',
+            '--category=Songs',
+            '--no-edit',
+            '--recursive'
+        ]), {
+            category: 'Songs',
+            edit: false,
+            editInterval: 3000,
+            providers: ['nn', 'yt'],
+            recursive: true
+        });
+    });
+    it('reads boolean values', function() {
+        assert.deepStrictEqual(parseArgs(['--bot=false', '-h']), {
+            bot: false,
+            help: true
+        });
+    });
+    it('rejects unknown and invalid arguments', function() {
+        assert.throws(() => parseArgs(['--unknown']), /Unknown option/u);
+        assert.throws(() => parseArgs(['edit']), /Unknown argument/u);
+        assert.throws(() => parseArgs(['--no-page=A']), /cannot be negated/u);
+        assert.throws(() => parseArgs(['--page']), /requires a value/u);
+    });
+    it('rejects options only available in the configuration file', function() {
+        assert.throws(() => parseArgs(['--guards=x']), /Unknown option/u);
+    });
+});
+
+describe('loadConfig', function() {
+    let dir = null;
+
+    /**
+     * Writes a configuration file.
+     * @param {object} config Configuration to write
+     * @returns {Promise<string>} Path to the configuration file
+     */
+    async function configFile(config) {
+        const file = path.join(dir, `config-${Math.random()}.json`);
+        await writeFile(file, JSON.stringify(config));
+        return file;
+    }
+
+    beforeEach(async function() {
+        dir = await mkdtemp(path.join(os.tmpdir(), 'vwvcu-config-'));
+    });
+
+    afterEach(async function() {
+        await rm(dir, {
+            force: true,
+            recursive: true
+        });
+    });
+
+    it('fills in defaults', function() {
+        const config = loadConfig([]);
+        assert.strictEqual(config.domain, 'vocaloid.fandom.com');
+        assert.strictEqual(config.edit, true);
+        assert.deepStrictEqual(config.statParams, {});
+    });
+    it('lets command-line arguments override the file', async function() {
+        const file = await configFile({
+            concurrency: 2,
+            domain: 'example.fandom.com'
+        });
+        const config = loadConfig([`--config=${file}`, '--concurrency=4']);
+        assert.strictEqual(config.domain, 'example.fandom.com');
+        assert.strictEqual(config.concurrency, 4);
+    });
+    it('rejects invalid configuration', async function() {
+        const unknown = await configFile({
+            unknown: true
+        });
+        assert.throws(
+            () => loadConfig([`--config=${unknown}`]),
+            /Unknown configuration option/u
+        );
+        const invalid = await configFile({
+            logLevel: 'verbose'
+        });
+        assert.throws(
+            () => loadConfig([`--config=${invalid}`]),
+            /Invalid value for option logLevel/u
+        );
+        assert.throws(
+            () => loadConfig([`--config=${path.join(dir, 'missing.json')}`]),
+            /Cannot load configuration/u
+        );
+    });
+    it('allows only one source of pages', function() {
+        assert.throws(
+            () => loadConfig(['--page=A', '--category=B']),
+            /Only one of these options/u
+        );
+    });
+});
@@ -0,0 +1,183 @@
+/**
+ * dashboard.test.js
+ *
+ * Tests for the dashboard and its API.
+ */
+'use strict';
+
+const assert = require('assert');
+const http = require('got');
+const {URL} = require('url');
+const Dashboard = require('../include/dashboard.js');
+const RunMonitor = require('../include/monitor.js');
+const ProviderRegistry = require('../include/registry.js');
+const RunSummary = require('../include/summary.js');
+
+describe('Dashboard', function() {
+    let dashboard = null;
+    let monitor = null;
+    let pages = null;
+    let summary = null;
+    let client = null;
+    const enqueued = [];
+
+    beforeEach(async function() {
+        monitor = new RunMonitor();
+        pages = ['Song A', 'Song B', 'Song C'];
+        summary = new RunSummary();
+        const providers = new ProviderRegistry();
+        providers.load(['nn', 'yt']);
+        dashboard = new Dashboard({
+            enqueue: page => enqueued.push(page),
+            fetcher: {
+                quotaExceeded: false
+            },
+            host: '127.0.0.1',
+            inProgress: new Set(['Song Z']),
+            logger: {
+                error() {
+                    // Errors are checked through responses.
+                },
+                info() {
+                    // Actions are checked through their effects.
+                }
+            },
+            monitor,
+            port: 0,
+            providers,
+            queue: () => pages,
+            skip(page) {
+                const index = pages.indexOf(page);
+                if (index === -1) {
+                    return false;
+                }
+                pages.splice(index, 1);
+                return true;
+            },
+            summary
+        });
+        await dashboard.start();
+        client = http.extend({
+            prefixUrl: dashboard.url,
+            responseType: 'json',
+            retry: 0,
+            throwHttpErrors: false
+        });
+    });
+
+    afterEach(async function() {
+        enqueued.length = 0;
+        await dashboard.stop();
+    });
+
+    it('serves the dashboard page', async function() {
+        const {body, headers} = await client.get('', {
+            responseType: 'text'
+        });
+        assert.match(headers['content-type'], /^text\/html/u);
+        assert.match(body, /VWVCU dashboard/u);
+    });
+    it('reports the state of the run', async function() {
+        summary.scanned();
+        summary.error('nn');
+        monitor.edited('Song Z', '{{v|nn|1}}', '{{v|nn|2}}', [
+            {
+                id: 'sm1',
+                newCount: 2,
+                oldCount: 1,
+                provider: 'nn'
+            }
+        ], false);
+        const {body} = await client.get('api/status');
+        assert.deepStrictEqual(body.queue, {
+            pages: ['Song A', 'Song B', 'Song C'],
+            size: 3
+        });
+        assert.deepStrictEqual(body.inProgress, ['Song Z']);
+        assert.strictEqual(body.paused, false);
+        assert.strictEqual(body.summary.scanned, 1);
+        assert.deepStrictEqual(body.summary.errors, {nn: 1});
+        assert.strictEqual(body.quota.yt.limit, 10000);
+        assert.strictEqual(body.quota.nn, undefined);
+        assert.strictEqual(body.edits.length, 1);
+        assert.strictEqual(body.edits[0].title, 'Song Z');
+        assert.match(body.edits[0].diff, /^-\{\{v\|nn\|1\}\}$/mu);
+        assert.match(body.edits[0].diff, /^\+\{\{v\|nn\|2\}\}$/mu);
+    });
+    it('pauses and resumes the run', async function() {
+        await client.post('api/pause', {
+            json: {}
+        });
+        assert.strictEqual(monitor.paused, true);
+        const waiting = monitor.wait();
+        await client.post('api/resume', {
+            json: {}
+        });
+        // Would time out if resuming did not release waiting workers.
+        await waiting;
+        assert.strictEqual(monitor.paused, false);
+    });
+    it('skips and enqueues pages', async function() {
+        const skipped = await client.post('api/skip', {
+            json: {
+                page: 'Song B'
+            }
+        });
+        assert.strictEqual(skipped.statusCode, 200);
+        assert.deepStrictEqual(pages, ['Song A', 'Song C']);
+        const missing = await client.post('api/skip', {
+            json: {
+                page: 'Song B'
+            }
+        });
+        assert.strictEqual(missing.statusCode, 409);
+        await client.post('api/enqueue', {
+            json: {
+                page: ' Song D '
+            }
+        });
+        assert.deepStrictEqual(enqueued, ['Song D']);
+    });
+    it('rejects requests for other hosts', async function() {
+        const {port} = new URL(dashboard.url);
+        const rebound = await client.post('api/pause', {
+            headers: {
+                Host: `attacker.example:${port}`
+            },
+            json: {}
+        });
+        assert.strictEqual(rebound.statusCode, 403);
+        assert.strictEqual(monitor.paused, false);
+        const local = await client.get('api/status', {
+            headers: {
+                Host: `localhost:${port}`
+            }
+        });
+        assert.strictEqual(local.statusCode, 200);
+    });
+    it('only accepts actions with a JSON body', async function() {
+        const {statusCode} = await client.post('api/pause', {
+            body: 'page=Song A',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            }
+        });
+        assert.strictEqual(statusCode, 415);
+        assert.strictEqual(monitor.paused, false);
+    });
+});
+
+describe('RunMonitor', function() {
+    it('keeps only the most recent edits', function() {
+        const monitor = new RunMonitor({
+            maxEdits: 2
+        });
+        for (const title of ['A', 'B', 'C']) {
+            monitor.edited(title, 'old', 'new', [], true);
+        }
+        assert.deepStrictEqual(
+            monitor.edits.map(edit => edit.title),
+            ['C', 'B']
+        );
+    });
+});
@@ -0,0 +1 @@
+(self.webpackJsonp=self.webpackJsonp||[]).push([[49],{42:function(e,t,n){"use strict";n.d(t,"a",function(){return r});var r={env:"production",client_id:"TestClientId0123456789abcdefghij",api_host:"api-v2.soundcloud.com"}}}]);
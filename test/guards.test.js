@@ -0,0 +1,180 @@
+/**
+ * guards.test.js
+ *
+ * Tests for guard rules on fetched view counts.
+ */
+'use strict';
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const {mkdtemp, rm} = require('fs/promises');
+const Guards = require('../include/guards.js');
+const History = require('../include/history.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates a view count history where a Niconico video was last fetched.
+ * @param {object} entry History entry, with `views` and `time`
+ * @returns {object} History returning the entry as the latest one
+ */
+function historyOf(entry) {
+    const latest = new Map([
+        [
+            'nn\nsm1',
+            {
+                id: 'sm1',
+                provider: 'nn',
+                ...entry
+            }
+        ]
+    ]);
+    return {
+        latest: () => Promise.resolve(latest)
+    };
+}
+
+/**
+ * Creates a view count change of a Niconico video.
+ * @param {object} overrides Properties of the change to override
+ * @returns {object} View count change
+ */
+function change(overrides) {
+    return {
+        approximate: false,
+        id: 'sm1',
+        newCount: 1200,
+        oldCount: 1000,
+        page: 'Test song',
+        provider: 'nn',
+        updated: new Date(Date.now() - DAY).toISOString(),
+        ...overrides
+    };
+}
+
+describe('Guards', function() {
+    it('accepts ordinary growth', async function() {
+        const decision = await new Guards().check(change());
+        assert.strictEqual(decision.accepted, true);
+        assert.strictEqual(decision.rule, null);
+    });
+    it('rejects decreasing view counts', async function() {
+        const decision = await new Guards().check(change({
+            newCount: 900
+        }));
+        assert.strictEqual(decision.accepted, false);
+        assert.strictEqual(decision.rule, 'decrease');
+        assert.match(decision.reason, /decreased from 1,000 views/u);
+    });
+    it('allows decreases when configured', async function() {
+        const decision = await new Guards({
+            rules: {
+                decrease: true
+            }
+        }).check(change({
+            newCount: 900
+        }));
+        assert.strictEqual(decision.accepted, true);
+    });
+    it('does not compare with approximate view counts', async function() {
+        const decision = await new Guards().check(change({
+            approximate: true,
+            newCount: 900,
+            oldCount: 1200000
+        }));
+        assert.strictEqual(decision.accepted, true);
+    });
+    it('rejects implausible growth', async function() {
+        const decision = await new Guards().check(change({
+            newCount: 50000
+        }));
+        assert.strictEqual(decision.accepted, false);
+        assert.strictEqual(decision.rule, 'maxDailyGrowth');
+    });
+    it('allows more growth over more days', async function() {
+        const decision = await new Guards().check(change({
+            newCount: 50000,
+            updated: new Date(Date.now() - 3 * DAY).toISOString()
+        }));
+        assert.strictEqual(decision.accepted, true);
+    });
+    it('does not check growth of small view counts', async function() {
+        const decision = await new Guards().check(change({
+            newCount: 50000,
+            oldCount: 10
+        }));
+        assert.strictEqual(decision.accepted, true);
+    });
+    it('applies rules for specific providers', async function() {
+        const guards = new Guards({
+            rules: {
+                providers: {
+                    nn: {
+                        maxDailyGrowth: null
+                    }
+                }
+            }
+        });
+        const decision = await guards.check(change({
+            newCount: 50000
+        }));
+        assert.strictEqual(decision.accepted, true);
+    });
+    it('compares with the last fetched view count', async function() {
+        const guards = new Guards({
+            history: historyOf({
+                time: new Date().toISOString(),
+                views: 1500
+            })
+        });
+        const decision = await guards.check(change());
+        assert.strictEqual(decision.accepted, false);
+        assert.strictEqual(decision.rule, 'decrease');
+        assert.match(decision.reason, /decreased from 1,500 views/u);
+    });
+    it('compares with view counts fetched since', async function() {
+        const dir = await mkdtemp(path.join(os.tmpdir(), 'vwvcu-guards-'));
+        const history = new History({
+            file: path.join(dir, 'history.jsonl')
+        });
+        const guards = new Guards({
+            history
+        });
+        try {
+            assert.strictEqual((await guards.check(change())).accepted, true);
+            history.record({
+                id: 'sm1',
+                page: 'Test song',
+                provider: 'nn',
+                views: 1500
+            });
+            const decision = await guards.check(change());
+            assert.strictEqual(decision.accepted, false);
+            assert.strictEqual(decision.rule, 'decrease');
+        } finally {
+            await history.close();
+            await rm(dir, {
+                force: true,
+                recursive: true
+            });
+        }
+    });
+    it('validates rules', function() {
+        assert.doesNotThrow(() => Guards.validate({
+            decrease: false,
+            maxDailyGrowth: 5,
+            providers: {
+                yt: {
+                    minViews: 100
+                }
+            }
+        }));
+        assert.throws(() => Guards.validate({
+            maxGrowth: 5
+        }));
+        assert.throws(() => Guards.validate({
+            decrease: 'no'
+        }));
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * history.test.js
+ *
+ * Tests for the view count history database.
+ */
+'use strict';
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const {mkdtemp, rm, writeFile} = require('fs/promises');
+const History = require('../include/history.js');
+
+describe('History', function() {
+    let dir = null;
+
+    beforeEach(async function() {
+        dir = await mkdtemp(path.join(os.tmpdir(), 'vwvcu-history-'));
+    });
+
+    afterEach(async function() {
+        await rm(dir, {
+            force: true,
+            recursive: true
+        });
+    });
+
+    it('keeps the last view count of each video', async function() {
+        const file = path.join(dir, 'history.jsonl');
+        await writeFile(file, [
+            {
+                id: 'sm1',
+                page: 'Song A',
+                provider: 'nn',
+                time: '2024-01-01T00:00:00.000Z',
+                views: 1000
+            },
+            {
+                id: 'sm1',
+                page: 'Song A',
+                provider: 'nn',
+                time: '2024-01-02T00:00:00.000Z',
+                views: 1100
+            },
+            {
+                id: 'sm2',
+                page: 'Song B',
+                provider: 'nn',
+                time: '2024-01-03T00:00:00.000Z',
+                views: 500
+            }
+        ].map(entry => `${JSON.stringify(entry)}\n`).join(''));
+        const history = new History({
+            file
+        });
+        assert.strictEqual((await history.latest()).get('nn\nsm1').views, 1100);
+        assert.strictEqual((await history.latestEntries()).length, 2);
+        assert.strictEqual(
+            (await history.lastUpdated()).get('Song B'),
+            '2024-01-03T00:00:00.000Z'
+        );
+        history.record({
+            id: 'sm1',
+            page: 'Song A',
+            provider: 'nn',
+            views: 1200
+        });
+        await history.close();
+        // Recorded view counts are seen without reading the file again.
+        assert.strictEqual((await history.latest()).get('nn\nsm1').views, 1200);
+        assert.strictEqual((await history.load()).length, 4);
+    });
+    it('includes view counts recorded before reading', async function() {
+        const history = new History({
+            file: path.join(dir, 'history.jsonl')
+        });
+        history.record({
+            id: 'abcdefghijk',
+            page: 'Song A',
+            provider: 'yt',
+            views: 42
+        });
+        await history.close();
+        const latest = await history.latest();
+        assert.strictEqual(latest.get('yt\nabcdefghijk').views, 42);
+        assert.strictEqual(latest.size, 1);
+    });
+    it('logs errors instead of crashing', async function() {
+        const errors = [];
+        const history = new History({
+            file: path.join(dir, 'missing', 'history.jsonl'),
+            logger: {
+                error: (...messages) => errors.push(messages)
+            }
+        });
+        history.record({
+            id: 'sm1',
+            page: 'Song A',
+            provider: 'nn',
+            views: 1000
+        });
+        await history.close();
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0][1].code, 'ENOENT');
+        assert.deepStrictEqual(await history.load(), []);
+    });
+});
@@ -0,0 +1,58 @@
+/**
+ * jsonfile.test.js
+ *
+ * Tests for atomically written JSON files.
+ */
+'use strict';
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const {mkdtemp, readdir, rm} = require('fs/promises');
+const JSONFile = require('../include/jsonfile.js');
+
+describe('JSONFile', function() {
+    let dir = null;
+
+    beforeEach(async function() {
+        dir = await mkdtemp(path.join(os.tmpdir(), 'vwvcu-json-'));
+    });
+
+    afterEach(async function() {
+        await rm(dir, {
+            force: true,
+            recursive: true
+        });
+    });
+
+    it('reads missing files as null', async function() {
+        const file = new JSONFile({
+            file: path.join(dir, 'missing.json')
+        });
+        assert.strictEqual(await file.read(), null);
+    });
+    it('merges saves requested while saving', async function() {
+        let writes = 0;
+        const data = {
+            count: 0
+        };
+        const file = new JSONFile({
+            file: path.join(dir, 'data.json'),
+            serialize() {
+                ++writes;
+                return data;
+            }
+        });
+        const saves = [];
+        for (let count = 1; count <= 5; ++count) {
+            data.count = count;
+            saves.push(file.save());
+        }
+        await Promise.all(saves);
+        assert.strictEqual(writes, 2);
+        assert.deepStrictEqual(await file.read(), {
+            count: 5
+        });
+        assert.deepStrictEqual(await readdir(dir), ['data.json']);
+    });
+});
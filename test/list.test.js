@@ -0,0 +1,212 @@
+/**
+ * list.test.js
+ *
+ * Tests for listing pages to update from the wiki and other sources.
+ */
+'use strict';
+
+const assert = require('assert');
+const Lister = require('../include/list.js');
+
+/**
+ * Creates a wiki client responding with the specified responses in order.
+ * @param {object[]} responses API responses
+ * @returns {object} Wiki client recording requested parameters in
+ * `requests`
+ */
+function wikiOf(responses) {
+    const requests = [];
+    return {
+        request(action, method, params) {
+            requests.push(params);
+            return Promise.resolve(responses.shift());
+        },
+        requests
+    };
+}
+
+/**
+ * Lists all pages.
+ * @param {Lister} lister Lister to list pages with
+ * @returns {Promise<string[]>} All listed pages
+ */
+async function listAll(lister) {
+    const pages = [];
+    while (!lister.done) {
+        pages.push(...await lister.next());
+    }
+    return pages;
+}
+
+describe('Lister', function() {
+    it('lists transclusions of the template', async function() {
+        const wiki = wikiOf([
+            {
+                continue: {
+                    eicontinue: '0|2'
+                },
+                query: {
+                    embeddedin: [{title: 'A'}]
+                }
+            },
+            {
+                query: {
+                    embeddedin: [{title: 'B'}]
+                }
+            }
+        ]);
+        const lister = new Lister({
+            namespace: 0,
+            template: 'Song box 2',
+            wiki
+        });
+        assert.deepStrictEqual(await listAll(lister), ['A', 'B']);
+        assert.strictEqual(wiki.requests[0].eititle, 'Template:Song box 2');
+        assert.strictEqual(wiki.requests[1].eicontinue, '0|2');
+    });
+    it('lists members of subcategories once', async function() {
+        const wiki = wikiOf([
+            {
+                query: {
+                    categorymembers: [
+                        {
+                            ns: 0,
+                            title: 'A'
+                        },
+                        {
+                            ns: 14,
+                            title: 'Category:Sub'
+                        }
+                    ]
+                }
+            },
+            {
+                query: {
+                    categorymembers: [
+                        {
+                            ns: 0,
+                            title: 'B'
+                        },
+                        {
+                            ns: 14,
+                            title: 'Category:Songs'
+                        }
+                    ]
+                }
+            }
+        ]);
+        const lister = new Lister({
+            category: 'Songs',
+            namespace: 0,
+            recursive: true,
+            wiki
+        });
+        assert.deepStrictEqual(await listAll(lister), ['A', 'B']);
+        assert.deepStrictEqual(
+            wiki.requests.map(params => params.cmtitle),
+            ['Category:Songs', 'Category:Sub']
+        );
+        assert.strictEqual(wiki.requests[0].cmtype, 'page|subcat');
+    });
+    it('lists pages from other sources', async function() {
+        const sources = [
+            [
+                {
+                    since: '2024-01-31'
+                },
+                {
+                    recentchanges: [{title: 'A'}]
+                },
+                'rcend',
+                '2024-01-31T00:00:00.000Z'
+            ],
+            [
+                {
+                    links: 'Producer'
+                },
+                {
+                    pages: [{links: [{title: 'A'}]}]
+                },
+                'titles',
+                'Producer'
+            ],
+            [
+                {
+                    search: 'miku'
+                },
+                {
+                    search: [{title: 'A'}]
+                },
+                'srsearch',
+                'miku'
+            ]
+        ];
+        for (const [options, query, param, value] of sources) {
+            const wiki = wikiOf([{query}]);
+            const lister = new Lister({
+                ...options,
+                namespace: 0,
+                wiki
+            });
+            assert.deepStrictEqual(await listAll(lister), ['A']);
+            assert.strictEqual(wiki.requests[0][param], value);
+        }
+    });
+    it('lists a single page without requests', async function() {
+        const wiki = wikiOf([]);
+        const lister = new Lister({
+            page: 'Test song',
+            wiki
+        });
+        assert.deepStrictEqual(await listAll(lister), ['Test song']);
+        assert.strictEqual(wiki.requests.length, 0);
+    });
+    it('stops at the limit and resumes where it stopped', async function() {
+        const responses = [
+            {
+                continue: {
+                    eicontinue: 'next'
+                },
+                query: {
+                    embeddedin: [{title: 'A'}, {title: 'B'}]
+                }
+            }
+        ];
+        const lister = new Lister({
+            limit: 1,
+            wiki: wikiOf(responses)
+        });
+        assert.deepStrictEqual(await listAll(lister), ['A']);
+        const {continuation} = lister;
+        const resumed = new Lister({
+            limit: 2,
+            wiki: wikiOf([
+                {
+                    query: {
+                        embeddedin: [{title: 'C'}, {title: 'D'}]
+                    }
+                }
+            ])
+        });
+        resumed.resume(continuation, false);
+        assert.deepStrictEqual(await listAll(resumed), ['C']);
+    });
+    it('lists pages updated least recently first', async function() {
+        const lister = new Lister({
+            history: {
+                lastUpdated: () => Promise.resolve(new Map([
+                    ['A', '2024-02-01T00:00:00Z'],
+                    ['B', '2024-01-01T00:00:00Z']
+                ]))
+            },
+            wiki: wikiOf([
+                {
+                    query: {
+                        embeddedin: [{title: 'A'}, {title: 'B'}, {title: 'C'}]
+                    }
+                }
+            ])
+        });
+        assert.deepStrictEqual(await listAll(lister), ['C', 'B', 'A']);
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ * log.test.js
+ *
+ * Tests for log files and run summaries.
+ */
+'use strict';
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const {mkdtemp, readFile, readdir, rm} = require('fs/promises');
+const {setTimeout} = require('timers/promises');
+const Logger = require('../include/log.js');
+const RunSummary = require('../include/summary.js');
+
+describe('Logger', function() {
+    let dir = null;
+
+    /**
+     * Creates a logger writing only to a file.
+     * @param {object} options Global logger options
+     * @returns {Logger} Logger writing to the test directory
+     */
+    function createLogger(options) {
+        Logger.setup({
+            dir,
+            level: 'debug',
+            ...options
+        });
+        return new Logger({
+            file: true,
+            name: 'test'
+        });
+    }
+
+    /**
+     * Reads all log files written by the test logger.
+     * @returns {Promise<object>} Contents of log files, keyed by file name
+     */
+    async function readLogs() {
+        const logs = {};
+        for (const file of (await readdir(dir)).sort()) {
+            logs[file] = await readFile(path.join(dir, file), {
+                encoding: 'utf-8'
+            });
+        }
+        return logs;
+    }
+
+    beforeEach(async function() {
+        dir = await mkdtemp(path.join(os.tmpdir(), 'vwvcu-logs-'));
+    });
+
+    afterEach(async function() {
+        Logger.setup({
+            level: 'error'
+        });
+        await rm(dir, {
+            force: true,
+            recursive: true
+        });
+    });
+
+    it('writes JSON lines with fields and error classes', async function() {
+        const logger = createLogger({
+            format: 'json'
+        });
+        const error = new TypeError('Bad view count');
+        error.code = 'EBAD';
+        logger.child({
+            id: 'sm1',
+            page: 'Test song',
+            provider: 'nn'
+        }).error('Failed on', 'Test song', error);
+        logger.info('Done');
+        await logger.close();
+        const [first, second] = (await readLogs())['test.log']
+            .trim()
+            .split('\n')
+            .map(line => JSON.parse(line));
+        assert.strictEqual(first.level, 'error');
+        assert.strictEqual(first.logger, 'test');
+        assert.strictEqual(
+            first.message,
+            'Failed on Test song TypeError: Bad view count'
+        );
+        assert.strictEqual(first.page, 'Test song');
+        assert.strictEqual(first.provider, 'nn');
+        assert.strictEqual(first.id, 'sm1');
+        assert.strictEqual(first.error.class, 'TypeError');
+        assert.strictEqual(first.error.code, 'EBAD');
+        assert.strictEqual(second.message, 'Done');
+        assert.strictEqual(second.page, undefined);
+    });
+
+    it('summarizes HTTP responses in text logs', async function() {
+        const logger = createLogger();
+        logger.warn('Response:', {
+            body: 'A very long page',
+            requestUrl: 'https://example.com/video',
+            statusCode: 503
+        });
+        await logger.close();
+        const log = (await readLogs())['test.log'];
+        assert.match(log, /\[WARN\] Response: HTTP 503 https:\/\/example\.com\/video\n$/u);
+    });
+
+    it('names log files after the day when rotating by date', async function() {
+        const logger = createLogger({
+            rotate: 'date'
+        });
+        logger.info('Rotated');
+        await logger.close();
+        const [file] = Object.keys(await readLogs());
+        assert.match(file, /^test-\d{4}-\d{2}-\d{2}\.log$/u);
+    });
+
+    it('starts new log files when they grow too large', async function() {
+        const logger = createLogger({
+            maxSize: 10,
+            rotate: 'size'
+        });
+        logger.info('First entry');
+        await setTimeout(5);
+        logger.info('Second entry');
+        await logger.close();
+        const logs = Object.values(await readLogs());
+        assert.strictEqual(logs.length, 2);
+        assert.match(logs[0], /First entry/u);
+        assert.match(logs[1], /Second entry/u);
+    });
+});
+
+describe('RunSummary', function() {
+    it('counts pages and errors by provider', function() {
+        const summary = new RunSummary();
+        summary.scanned();
+        summary.scanned();
+        summary.scanned();
+        summary.edited();
+        summary.unchanged();
+        summary.failed();
+        summary.error('yt');
+        summary.error('yt');
+        summary.error('nn');
+        summary.finish();
+        const json = summary.toJSON();
+        assert.strictEqual(json.scanned, 3);
+        assert.strictEqual(json.edited, 1);
+        assert.strictEqual(json.unchanged, 1);
+        assert.strictEqual(json.failed, 1);
+        assert.deepStrictEqual(json.errors, {
+            nn: 1,
+            yt: 2
+        });
+        assert.ok(json.duration >= 0);
+        assert.match(
+            summary.format(),
+            /^Scanned 3 pages in 0s: 1 edited, 1 unchanged, 1 failed\. Errors by provider: yt 2, nn 1\.$/u
+        );
+    });
+});
@@ -0,0 +1,675 @@
+/**
+ * main.test.js
+ *
+ * End-to-end tests for processing pages, against a mock wiki and mock video
+ * providers.
+ */
+'use strict';
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const process = require('process');
+const {mkdir, mkdtemp, readFile, rm, writeFile} = require('fs/promises');
+const {google} = require('googleapis');
+const {MockServer, fixture} = require('./server.js');
+const VWVCU = require('../main.js');
+const {loadConfig} = require('../include/config.js');
+
+const WIKI = 'wiki.test/api.php';
+/**
+ * YouTube video on the test page. YouTube view counts are cached for the
+ * whole process, so it differs from the video in provider tests.
+ */
+const VIDEO = 'pagevideo01';
+const ROUTES = {
+    bb: 'api.bilibili.com/x/web-interface/view',
+    nn: 'www.nicovideo.jp/api/watch/v3_guest/sm1',
+    yt: 'youtube.googleapis.com/youtube/v3/videos'
+};
+
+describe('VWVCU', function() {
+    const server = new MockServer();
+    const cwd = process.cwd();
+    let dir = null;
+
+    /**
+     * Responds to wiki API requests with recorded responses.
+     * @param {object} request Request to the wiki API
+     * @param {object} request.params Request parameters
+     * @param {object} options Response options
+     * @param {string} options.edit Fixture to respond to edits with
+     * @param {string} options.video YouTube video ID to put on the page
+     * @param {object} options.views View counts to put on the page instead
+     * of the recorded ones, keyed by provider code
+     * @param {string} options.infobox Wikitext of more infobox parameters
+     * @returns {Promise<object>} Response to the request
+     */
+    async function wiki({params}, {
+        edit = 'mediawiki-edit.json',
+        video = VIDEO,
+        views = {},
+        infobox = ''
+    } = {}) {
+        if (params.meta === 'userinfo') {
+            return {fixture: 'mediawiki-userinfo.json'};
+        }
+        if (params.meta === 'tokens') {
+            return {fixture: 'mediawiki-tokens.json'};
+        }
+        if (params.action === 'edit') {
+            return {fixture: edit};
+        }
+        let revisions = (await fixture('mediawiki-revisions.json'))
+            .replace('abcdefghijk', video)
+            .replace('|links = ', `${JSON.stringify(infobox).slice(1, -1)}|links = `);
+        for (const [provider, count] of Object.entries(views)) {
+            revisions = revisions.replace(
+                new RegExp(`\\{\\{v\\|${provider}\\|[^}]*\\}\\}`, 'u'),
+                `{{v|${provider}|${count}}}`
+            );
+        }
+        return {
+            body: JSON.parse(revisions)
+        };
+    }
+
+    /**
+     * Responds to YouTube API requests with the recorded view counts of the
+     * video on the test page.
+     * @returns {Promise<object>} Response to the request
+     */
+    async function youtube() {
+        const videos = await fixture('youtube-videos.json');
+        return {
+            body: JSON.parse(videos.replace('abcdefghijk', VIDEO))
+        };
+    }
+
+    /**
+     * Serves view counts for all videos on the test page.
+     */
+    function routeProviders() {
+        server.route(ROUTES.bb, 'bilibili-view.json');
+        server.route(ROUTES.nn, 'niconico-watch.json');
+        server.route(ROUTES.yt, youtube);
+    }
+
+    /**
+     * Creates a client updating the test page against the mock server.
+     * @param {object} config Configuration overrides
+     * @returns {VWVCU} Client to run
+     */
+    function createClient(config = {}) {
+        const hosts = {};
+        for (const route of Object.values(ROUTES)) {
+            hosts[route.split('/')[0]] = {
+                interval: 0
+            };
+        }
+        const client = new VWVCU({
+            ...loadConfig([]),
+            domain: 'wiki.test',
+            editInterval: 0,
+            hosts,
+            logLevel: 'error',
+            page: 'Test song',
+            providers: ['bb', 'nn', 'yt'],
+            ...config
+        });
+        const redirect = {
+            hooks: {
+                beforeRequest: [server.redirect()]
+            },
+            retry: 0
+        };
+        client._http = client._http.extend(redirect);
+        client._scraper = client._scraper.extend(redirect);
+        client._wiki._url = `${server.url}/${WIKI}`;
+        client._auth.run = () => Promise.resolve({
+            google: 'test-api-key',
+            wikia: {
+                accessToken: 'test-access-token'
+            }
+        });
+        return client;
+    }
+
+    /**
+     * Reads the state the client left after running.
+     * @returns {Promise<object>} Run state
+     */
+    async function readState() {
+        return JSON.parse(await readFile('state.json', {
+            encoding: 'utf-8'
+        }));
+    }
+
+    before(async function() {
+        await server.start();
+        google.options({
+            adapter: server.googleAdapter()
+        });
+    });
+
+    beforeEach(async function() {
+        dir = await mkdtemp(path.join(os.tmpdir(), 'vwvcu-'));
+        process.chdir(dir);
+        await mkdir('data');
+        await mkdir('logs');
+    });
+
+    afterEach(async function() {
+        server.reset();
+        process.chdir(cwd);
+        await rm(dir, {
+            force: true,
+            recursive: true
+        });
+    });
+
+    after(async function() {
+        google.options({
+            adapter: undefined
+        });
+        await server.stop();
+    });
+
+    it('updates view counts on the page', async function() {
+        routeProviders();
+        server.route(WIKI, wiki);
+        await createClient().run();
+        const [edit] = server.requestsTo(WIKI)
+            .filter(request => request.params.action === 'edit');
+        assert.ok(edit, 'No edit was made');
+        assert.match(
+            edit.params.text,
+            /\{\{v\|nn\|1,234,567\}\}, \{\{v\|yt\|2,345,678\}\}, \{\{v\|bb\|123,456\}\}/u
+        );
+        assert.strictEqual(edit.params.title, 'Test song');
+        assert.strictEqual(edit.params.basetimestamp, '2024-01-15T08:30:00Z');
+        assert.strictEqual(edit.params.starttimestamp, '2024-02-01T12:00:00Z');
+        assert.match(edit.params.summary, /\[\[User:TestBot\|automatic\]\]/u);
+        const state = await readState();
+        assert.strictEqual(state.finished, true);
+        assert.deepStrictEqual(state.processed, ['Test song']);
+        assert.deepStrictEqual(state.failed, []);
+        const [summary] = (await readFile('data/runs.jsonl', {
+            encoding: 'utf-8'
+        })).trim().split('\n').map(line => JSON.parse(line));
+        assert.strictEqual(summary.scanned, 1);
+        assert.strictEqual(summary.edited, 1);
+        assert.deepStrictEqual(summary.errors, {});
+    });
+
+    it('only marks edits as bot edits if configured', async function() {
+        routeProviders();
+        server.route(WIKI, wiki);
+        await createClient().run();
+        await createClient({
+            bot: false
+        }).run();
+        const edits = server.requestsTo(WIKI)
+            .filter(request => request.params.action === 'edit');
+        assert.strictEqual(edits.length, 2);
+        assert.strictEqual(edits[0].params.bot, 'true');
+        assert.strictEqual('bot' in edits[1].params, false);
+    });
+
+    it('replaces approximate and annotated view counts', async function() {
+        routeProviders();
+        server.route(WIKI, request => wiki(request, {
+            views: {
+                bb: '120K+',
+                nn: '1,000,000<ref>As of 2023</ref>'
+            }
+        }));
+        await createClient().run();
+        const [edit] = server.requestsTo(WIKI)
+            .filter(request => request.params.action === 'edit');
+        assert.match(
+            edit.params.text,
+            /\{\{v\|nn\|1,234,567<ref>As of 2023<\/ref>\}\}/u
+        );
+        assert.match(edit.params.text, /\{\{v\|bb\|123,456\}\}/u);
+    });
+
+    it('sends decreasing view counts to review', async function() {
+        routeProviders();
+        server.route(WIKI, request => wiki(request, {
+            views: {
+                bb: '200,000'
+            }
+        }));
+        await createClient().run();
+        const [edit] = server.requestsTo(WIKI)
+            .filter(request => request.params.action === 'edit');
+        assert.match(edit.params.text, /\{\{v\|nn\|1,234,567\}\}/u);
+        assert.match(edit.params.text, /\{\{v\|bb\|200,000\}\}/u);
+        const review = (await readFile('data/review.jsonl', {
+            encoding: 'utf-8'
+        })).trim().split('\n').map(line => JSON.parse(line));
+        assert.strictEqual(review.length, 1);
+        assert.strictEqual(review[0].page, 'Test song');
+        assert.strictEqual(review[0].provider, 'bb');
+        assert.strictEqual(review[0].newCount, 123456);
+        assert.strictEqual(review[0].oldCount, 200000);
+        assert.strictEqual(review[0].rule, 'decrease');
+    });
+
+    it('does not write decreases allowed by the guards', async function() {
+        routeProviders();
+        server.route(WIKI, request => wiki(request, {
+            views: {
+                bb: '200,000'
+            }
+        }));
+        await createClient({
+            guards: {
+                decrease: true
+            }
+        }).run();
+        const [edit] = server.requestsTo(WIKI)
+            .filter(request => request.params.action === 'edit');
+        assert.match(edit.params.text, /\{\{v\|nn\|1,234,567\}\}/u);
+        assert.match(edit.params.text, /\{\{v\|bb\|200,000\}\}/u);
+        await assert.rejects(readFile('data/review.jsonl'), {
+            code: 'ENOENT'
+        });
+    });
+
+    it('updates other statistics in configured parameters', async function() {
+        routeProviders();
+        server.route(WIKI, request => wiki(request, {
+            infobox: '|likes = {{v|nn|7,000}}, {{v|yt|30,000}}\n' +
+                '|mylists = {{v|nn|23,456}}\n'
+        }));
+        await createClient({
+            statParams: {
+                likes: 'likes',
+                mylists: 'mylists'
+            }
+        }).run();
+        const [edit] = server.requestsTo(WIKI)
+            .filter(request => request.params.action === 'edit');
+        assert.match(
+            edit.params.text,
+            /\|likes = \{\{v\|nn\|7,890\}\}, \{\{v\|yt\|34,567\}\}\n/u
+        );
+        assert.match(edit.params.text, /\|mylists = \{\{v\|nn\|23,456\}\}\n/u);
+        assert.match(edit.params.text, /\{\{v\|nn\|1,234,567\}\}/u);
+        assert.strictEqual(server.requestsTo(ROUTES.nn).length, 1);
+    });
+
+    it('writes the date view counts are as of', async function() {
+        routeProviders();
+        server.route(WIKI, request => wiki(request, {
+            infobox: '|views_date = 2024-01-01\n'
+        }));
+        await createClient({
+            dateArg: true,
+            dateParam: 'views_date'
+        }).run();
+        const [edit] = server.requestsTo(WIKI)
+            .filter(request => request.params.action === 'edit');
+        const today = new Date().toISOString().slice(0, 10);
+        assert.ok(edit.params.text.includes(`|views_date = ${today}\n`));
+        assert.ok(edit.params.text.includes(`{{v|nn|1,234,567|${today}}}`));
+    });
+
+    it('only dates view counts that were updated', async function() {
+        routeProviders();
+        server.route(WIKI, request => wiki(request, {
+            views: {
+                nn: '1,234,567|2024-01-01',
+                yt: '2,000,000|unofficial'
+            }
+        }));
+        await createClient({
+            dateArg: true
+        }).run();
+        const [edit] = server.requestsTo(WIKI)
+            .filter(request => request.params.action === 'edit');
+        assert.ok(edit.params.text.includes('{{v|nn|1,234,567|2024-01-01}}'));
+        assert.ok(edit.params.text.includes('{{v|yt|2,345,678|unofficial}}'));
+    });
+
+    it('adds a missing date parameter', async function() {
+        routeProviders();
+        server.route(WIKI, wiki);
+        await createClient({
+            dateParam: 'views_date'
+        }).run();
+        const [edit] = server.requestsTo(WIKI)
+            .filter(request => request.params.action === 'edit');
+        const today = new Date().toISOString().slice(0, 10);
+        assert.ok(edit.params.text.includes(
+            `{{l|bb|BV1xx411c7mD}}\n|views_date = ${today}\n}}`
+        ));
+        assert.ok(edit.params.text.includes('{{v|nn|1,234,567}}'));
+    });
+
+    it('reports outdated view counts that fail to update', async function() {
+        routeProviders();
+        server.route(ROUTES.nn, () => ({
+            status: 500
+        }));
+        server.route(WIKI, request => wiki(request, {
+            infobox: '|views_date = 2024-01-01\n'
+        }));
+        await createClient({
+            dateParam: 'views_date',
+            staleDays: 30
+        }).run();
+        const report = await readFile('reports/stale.md', {
+            encoding: 'utf-8'
+        });
+        assert.match(report, /^\| Test song \| nn \| sm1 \| 2024-01-01 \| \d+ \|$/mu);
+        assert.doesNotMatch(report, /\| yt \|/u);
+    });
+
+    it('publishes summary pages after the run', async function() {
+        routeProviders();
+        server.route(WIKI, wiki);
+        await createClient({
+            runLogPage: 'Project:View count bot/Runs',
+            topPages: {
+                nn: 'Project:Top songs by Niconico views'
+            }
+        }).run();
+        const edits = new Map(server.requestsTo(WIKI)
+            .filter(request => request.params.action === 'edit')
+            .map(request => [request.params.title, request.params.text]));
+        assert.match(
+            edits.get('Project:View count bot/Runs'),
+            /^\| \d{4}-\d\d-\d\d \d\d:\d\d \|\| 1 \|\| 1 \|\| 0 \|\| 0 \|\| 0 \|\|$/mu
+        );
+        assert.match(
+            edits.get('Project:Top songs by Niconico views'),
+            /^\| 1 \|\| \[\[Test song\]\] \|\| 1,234,567 \|\| \{\{l\|nn\|sm1\}\}$/mu
+        );
+    });
+
+    describe('when something fails', function() {
+        it('finishes the run when summary pages fail', async function() {
+            routeProviders();
+            server.route(WIKI, wiki);
+            await writeFile('data/runs.jsonl', '{\n');
+            await createClient({
+                runLogPage: 'Project:View count bot/Runs'
+            }).run();
+            const titles = server.requestsTo(WIKI)
+                .filter(request => request.params.action === 'edit')
+                .map(request => request.params.title);
+            assert.deepStrictEqual(titles, ['Test song']);
+            assert.strictEqual((await readState()).finished, true);
+        });
+
+        it('keeps going when saving progress fails', async function() {
+            routeProviders();
+            server.route(WIKI, wiki);
+            const client = createClient();
+            const errors = [];
+            const {error} = client._logger;
+            client._logger.error = function(...args) {
+                errors.push(args[0]);
+                return error.apply(this, args);
+            };
+            const {save} = client._state;
+            client._state.save = function(...args) {
+                if (this.processed.size > 0 && errors.length === 0) {
+                    return Promise.reject(new Error('Disk full'));
+                }
+                return save.apply(this, args);
+            };
+            await client.run();
+            assert.deepStrictEqual(errors, ['Failed to save the checkpoint:']);
+            assert.strictEqual((await readState()).finished, true);
+        });
+
+        it('does not record summary pages as failed', async function() {
+            routeProviders();
+            server.route(WIKI, request => wiki(request, {
+                edit: request.params.title === 'Test song' ?
+                    'mediawiki-edit.json' :
+                    'mediawiki-edit-protected.json'
+            }));
+            const client = createClient({
+                runLogPage: 'Project:View count bot/Runs'
+            });
+            await client.run();
+            assert.deepStrictEqual(client._state.failed, []);
+            assert.deepStrictEqual([...client._state.processed], ['Test song']);
+        });
+
+        it('records pages the wiki refused to edit', async function() {
+            routeProviders();
+            server.route(WIKI, request => wiki(request, {
+                edit: 'mediawiki-edit-protected.json'
+            }));
+            const client = createClient();
+            await client.run();
+            assert.strictEqual(client._state.failed.length, 1);
+            const [{page, reason}] = (await readState()).failed;
+            assert.strictEqual(page, 'Test song');
+            assert.match(reason, /protectedpage/u);
+        });
+
+        it('retries edits after an edit conflict', async function() {
+            let edits = 0;
+            routeProviders();
+            server.route(WIKI, request => wiki(request, {
+                edit: request.params.action === 'edit' && edits++ === 0 ?
+                    'mediawiki-edit-conflict.json' :
+                    'mediawiki-edit.json'
+            }));
+            await createClient().run();
+            assert.strictEqual(edits, 2);
+            const revisions = server.requestsTo(WIKI)
+                .filter(request => request.params.prop === 'revisions');
+            assert.strictEqual(revisions.length, 2);
+            assert.strictEqual(server.requestsTo(ROUTES.nn).length, 1);
+            const {processed} = await readState();
+            assert.deepStrictEqual(processed, ['Test song']);
+        });
+    });
+
+    it('stops without editing when the quota is exceeded', async function() {
+        routeProviders();
+        server.route(ROUTES.yt, () => ({
+            fixture: 'youtube-quota.json',
+            status: 403
+        }));
+        server.route(WIKI, request => wiki(request, {
+            video: 'quotavideo1'
+        }));
+        await createClient({
+            runLogPage: 'Project:View count bot/Runs'
+        }).run();
+        const edits = server.requestsTo(WIKI)
+            .filter(request => request.params.action === 'edit');
+        assert.strictEqual(edits.length, 0);
+        const state = await readState();
+        assert.strictEqual(state.finished, false);
+        assert.deepStrictEqual(state.pending, ['Test song']);
+        assert.deepStrictEqual(state.processed, []);
+    });
+
+    it('reports changes instead of editing in dry runs', async function() {
+        routeProviders();
+        server.route(WIKI, wiki);
+        await createClient({
+            edit: false
+        }).run();
+        const edits = server.requestsTo(WIKI)
+            .filter(request => request.params.action === 'edit');
+        assert.strictEqual(edits.length, 0);
+        assert.deepStrictEqual((await readState()).processed, ['Test song']);
+    });
+
+    it('shows edits on the dashboard', async function() {
+        routeProviders();
+        server.route(WIKI, wiki);
+        const client = createClient({
+            dashboardPort: 0
+        });
+        await client.run();
+        const [edit] = client._monitor.edits;
+        assert.strictEqual(edit.title, 'Test song');
+        assert.strictEqual(edit.dryRun, false);
+        assert.strictEqual(edit.changes.length, 3);
+        assert.strictEqual(client._dashboard._server.listening, false);
+    });
+
+    describe('as a daemon', function() {
+        it('schedules pages when running as a daemon', async function() {
+            const client = createClient({
+                daemon: true
+            });
+            const state = JSON.stringify({
+                finished: false,
+                pending: ['Interrupted song']
+            });
+            await writeFile('state.json', state);
+
+            /**
+             * Stops the daemon once it edits the page.
+             * @param {object} request Request to the wiki API
+             * @returns {Promise<object>} Response to the request
+             */
+            function stopOnEdit(request) {
+                if (request.params.action === 'edit') {
+                    client._daemon.stop();
+                }
+                return wiki(request);
+            }
+            routeProviders();
+            server.route(WIKI, stopOnEdit);
+            await client.daemon();
+            const edits = server.requestsTo(WIKI)
+                .filter(request => request.params.action === 'edit');
+            assert.strictEqual(edits.length, 1);
+            const {listed, pages} = JSON.parse(await readFile(
+                'data/schedule.json',
+                {
+                    encoding: 'utf-8'
+                }
+            ));
+            assert.ok(listed);
+            const entry = pages['Test song'];
+            assert.strictEqual(entry.interval, 1);
+            assert.strictEqual(entry.views[`yt\n${VIDEO}`], 2345678);
+            assert.ok(new Date(entry.next) > new Date(entry.checked));
+            assert.strictEqual(await readFile('state.json', {
+                encoding: 'utf-8'
+            }), state);
+        });
+
+        it('publishes summary pages daily as a daemon', async function() {
+            const client = createClient({
+                daemon: true,
+                runLogPage: 'Project:View count bot/Runs'
+            });
+            let edits = 0;
+
+            /**
+             * Makes the page due again after every edit of it, and stops the
+             * daemon after the third one.
+             * @param {object} request Request to the wiki API
+             * @returns {Promise<object>} Response to the request
+             */
+            function checkThrice(request) {
+                const {action, title} = request.params;
+                if (action !== 'edit' || title !== 'Test song') {
+                    return wiki(request);
+                }
+                if (++edits === 3) {
+                    client._daemon.stop();
+                } else {
+                    client._schedule.due = () => ['Test song'];
+                    client._schedule.nextDue = () => new Date(0);
+                }
+                return wiki(request);
+            }
+            routeProviders();
+            server.route(WIKI, checkThrice);
+            await client.daemon();
+            const published = server.requestsTo(WIKI).filter(
+                ({params}) => params.title === 'Project:View count bot/Runs'
+            );
+            assert.strictEqual(edits, 3);
+            assert.strictEqual(published.length, 1);
+            const runs = (await readFile('data/runs.jsonl', {
+                encoding: 'utf-8'
+            })).trim().split('\n').map(line => JSON.parse(line));
+            assert.deepStrictEqual(runs.map(run => run.scanned), [1, 2]);
+            const {published: time} = JSON.parse(await readFile(
+                'data/schedule.json',
+                {
+                    encoding: 'utf-8'
+                }
+            ));
+            assert.ok(time);
+        });
+
+        it('checks pages with unavailable videos rarely', async function() {
+            const client = createClient({
+                daemon: true,
+                providers: ['yt'],
+                unavailableCategory: 'Songs with unavailable videos'
+            });
+
+            /**
+             * Stops the daemon once it marks the page as having unavailable
+             * videos.
+             * @param {object} request Request to the wiki API
+             * @returns {Promise<object>} Response to the request
+             */
+            function stopOnEdit(request) {
+                if (request.params.action === 'edit') {
+                    client._daemon.stop();
+                }
+                return wiki(request);
+            }
+            server.route(ROUTES.yt, () => ({
+                body: {
+                    items: []
+                }
+            }));
+            server.route(WIKI, stopOnEdit);
+            await client.daemon();
+            const {pages} = JSON.parse(await readFile('data/schedule.json', {
+                encoding: 'utf-8'
+            }));
+            assert.strictEqual(pages['Test song'].interval, 30);
+        });
+
+        it('fetches view counts again in every check', async function() {
+            const client = createClient({
+                daemon: true
+            });
+            let edits = 0;
+
+            /**
+             * Makes the page due again after the first edit, and stops the
+             * daemon after the second one.
+             * @param {object} request Request to the wiki API
+             * @returns {Promise<object>} Response to the request
+             */
+            function checkTwice(request) {
+                if (request.params.action === 'edit' && ++edits === 1) {
+                    client._schedule.due = () => ['Test song'];
+                    client._schedule.nextDue = () => new Date(0);
+                } else if (request.params.action === 'edit') {
+                    client._daemon.stop();
+                }
+                return wiki(request);
+            }
+            routeProviders();
+            server.route(WIKI, checkTwice);
+            await client.daemon();
+            assert.strictEqual(edits, 2);
+            assert.strictEqual(server.requestsTo(ROUTES.yt).length, 2);
+        });
+    });
+});
@@ -0,0 +1,211 @@
+/**
+ * mediawiki.test.js
+ *
+ * Tests for the MediaWiki API client.
+ */
+'use strict';
+
+const assert = require('assert');
+const MediaWiki = require('../include/mediawiki.js');
+const MediaWikiError = require('../include/wikierror.js');
+const {MockServer} = require('./server.js');
+
+const API = 'wiki.test/api.php';
+
+/**
+ * Creates a route handler responding with the specified responses in order,
+ * repeating the last one.
+ * @param {object[]} responses Route handler responses
+ * @returns {Function} Route handler
+ */
+function sequence(responses) {
+    return function() {
+        return responses.length > 1 ? responses.shift() : responses[0];
+    };
+}
+
+describe('MediaWiki', function() {
+    const server = new MockServer();
+    let wiki = null;
+    let logins = 0;
+
+    before(async function() {
+        await server.start();
+    });
+
+    after(async function() {
+        await server.stop();
+    });
+
+    beforeEach(function() {
+        logins = 0;
+        wiki = new MediaWiki({
+            login() {
+                ++logins;
+                return Promise.resolve({
+                    accessToken: `token${logins}`
+                });
+            },
+            retries: 2,
+            retryDelay: 1,
+            url: `${server.url}/${API}`,
+            userAgent: 'Test'
+        });
+    });
+
+    afterEach(function() {
+        server.reset();
+    });
+
+    it('retries requests failing with server errors', async function() {
+        server.route(API, sequence([
+            {
+                body: 'Unavailable',
+                status: 503
+            },
+            {
+                body: {
+                    query: {
+                        pages: []
+                    }
+                }
+            }
+        ]));
+        assert.deepStrictEqual(await wiki.query({titles: 'A'}), {
+            pages: []
+        });
+        assert.strictEqual(server.requestsTo(API).length, 2);
+    });
+    it('retries requests refused due to replication lag', async function() {
+        server.route(API, sequence([
+            {
+                body: {
+                    error: {
+                        code: 'maxlag',
+                        info: 'Waiting for a database server',
+                        lag: 0
+                    }
+                }
+            },
+            {
+                body: {
+                    query: {}
+                }
+            }
+        ]));
+        await wiki.query({titles: 'A'});
+        const requests = server.requestsTo(API);
+        assert.strictEqual(requests.length, 2);
+        assert.strictEqual(requests[0].params.maxlag, '5');
+    });
+    it('gives up after the configured number of retries', async function() {
+        server.route(API, () => ({
+            body: {
+                error: {
+                    code: 'readonly',
+                    info: 'The wiki is in read-only mode'
+                }
+            }
+        }));
+        await assert.rejects(wiki.query({titles: 'A'}), {
+            code: 'readonly',
+            name: 'MediaWikiError'
+        });
+        assert.strictEqual(server.requestsTo(API).length, 3);
+    });
+    it('does not retry other API errors', async function() {
+        server.route(API, () => ({
+            body: {
+                error: {
+                    code: 'badvalue',
+                    info: 'Unrecognized value'
+                }
+            }
+        }));
+        await assert.rejects(wiki.query({titles: 'A'}), MediaWikiError);
+        assert.strictEqual(server.requestsTo(API).length, 1);
+    });
+    it('logs in again once the session expires', async function() {
+        wiki.setSession({
+            accessToken: 'expired'
+        });
+        server.route(API, sequence([
+            {
+                body: {
+                    error: {
+                        code: 'assertuserfailed',
+                        info: 'You are no longer logged in'
+                    }
+                }
+            },
+            {
+                body: {
+                    query: {}
+                }
+            }
+        ]));
+        await wiki.query({titles: 'A'});
+        assert.strictEqual(logins, 1);
+        assert.strictEqual(server.requestsTo(API)[1].params.assert, 'user');
+    });
+    it('logs in again only once per request', async function() {
+        wiki.setSession({
+            accessToken: 'expired'
+        });
+        server.route(API, () => ({
+            body: {
+                error: {
+                    code: 'assertuserfailed',
+                    info: 'You are no longer logged in'
+                }
+            }
+        }));
+        await assert.rejects(wiki.query({titles: 'A'}), {
+            code: 'assertuserfailed'
+        });
+        assert.strictEqual(logins, 1);
+    });
+    it('fetches a new token when the token is rejected', async function() {
+        const tokens = ['old', 'new'];
+        server.route(API, function({params}) {
+            if (params.action === 'query') {
+                return {
+                    body: {
+                        query: {
+                            tokens: {
+                                csrftoken: tokens.shift()
+                            }
+                        }
+                    }
+                };
+            }
+            if (params.token === 'old') {
+                return {
+                    body: {
+                        error: {
+                            code: 'badtoken',
+                            info: 'Invalid CSRF token'
+                        }
+                    }
+                };
+            }
+            return {
+                body: {
+                    edit: {
+                        result: 'Success'
+                    }
+                }
+            };
+        });
+        assert.deepStrictEqual(await wiki.edit({
+            text: 'Test',
+            title: 'A'
+        }), {
+            result: 'Success'
+        });
+        assert.deepStrictEqual(
+            server.requestsTo(API).map(({params}) => params.action),
+            ['query', 'edit', 'query', 'edit']
+        );
+    });
+});
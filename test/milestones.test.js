@@ -0,0 +1,111 @@
+/**
+ * milestones.test.js
+ *
+ * Tests for detecting crossed view count milestones.
+ */
+'use strict';
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const {mkdtemp, readFile, rm} = require('fs/promises');
+const Milestones = require('../include/milestones.js');
+
+/**
+ * Creates a view count change of a Niconico video.
+ * @param {number} oldCount View count before the change
+ * @param {number} newCount View count after the change
+ * @returns {object} View count change
+ */
+function change(oldCount, newCount) {
+    return {
+        id: 'sm1',
+        newCount,
+        oldCount,
+        provider: 'nn'
+    };
+}
+
+describe('Milestones', function() {
+    it('adds categories of crossed milestones', function() {
+        const milestones = new Milestones();
+        const {content, events} = milestones.apply(
+            'Text',
+            [change(99000, 1000000)]
+        );
+        assert.deepStrictEqual(
+            events.map(({rule}) => rule.name),
+            ['Hall of Fame', 'Hall of Legend']
+        );
+        assert.strictEqual(
+            content,
+            'Text\n[[Category:Songs in the Hall of Fame]]\n' +
+                '[[Category:Songs in the Hall of Legend]]'
+        );
+    });
+    it('ignores milestones crossed before or by other providers', function() {
+        const milestones = new Milestones();
+        const {content, events} = milestones.apply('Text', [
+            change(100000, 200000),
+            {
+                ...change(0, 200000),
+                provider: 'yt'
+            }
+        ]);
+        assert.strictEqual(content, 'Text');
+        assert.deepStrictEqual(events, []);
+    });
+    it('adds templates only once', function() {
+        const milestones = new Milestones({
+            rules: [
+                {
+                    name: 'Million',
+                    provider: 'yt',
+                    template: 'Million views',
+                    threshold: 1000000
+                }
+            ]
+        });
+        const crossed = {
+            ...change(999999, 1000000),
+            provider: 'yt'
+        };
+        assert.strictEqual(
+            milestones.apply('Text', [crossed]).content,
+            '{{Million views}}\nText'
+        );
+        assert.strictEqual(
+            milestones.apply('{{million_views}}', [crossed]).content,
+            '{{million_views}}'
+        );
+    });
+    it('validates rules', function() {
+        assert.throws(() => Milestones.validate({}), /must be an array/u);
+        assert.throws(() => Milestones.validate([
+            {
+                name: 'No category',
+                provider: 'nn',
+                threshold: 1000
+            }
+        ]), /Invalid milestone rule/u);
+    });
+    it('logs crossed milestones to the report', async function() {
+        const dir = await mkdtemp(path.join(os.tmpdir(), 'vwvcu-milestones-'));
+        const report = path.join(dir, 'reports', 'milestones.md');
+        const milestones = new Milestones({
+            report
+        });
+        const {events} = milestones.apply('Text', [change(99000, 100001)]);
+        await milestones.log('Test song', events);
+        assert.match(
+            await readFile(report, {
+                encoding: 'utf-8'
+            }),
+            /\[\[Test song\]\] reached Hall of Fame \(100,000 views on nn video sm1, now 100,001\)/u
+        );
+        await rm(dir, {
+            force: true,
+            recursive: true
+        });
+    });
+});
@@ -0,0 +1,329 @@
+/**
+ * providers.test.js
+ *
+ * Tests for built-in video providers, using recorded responses.
+ */
+'use strict';
+
+const assert = require('assert');
+const http = require('got');
+const {google} = require('googleapis');
+const {MockServer} = require('./server.js');
+const {VideoUnavailableError} = require('../include/errors.js');
+const bb = require('../include/providers/bb.js');
+const nn = require('../include/providers/nn.js');
+const sc = require('../include/providers/sc.js');
+const tt = require('../include/providers/tt.js');
+const tw = require('../include/providers/tw.js');
+const vm = require('../include/providers/vm.js');
+const yt = require('../include/providers/yt.js');
+
+describe('providers', function() {
+    const server = new MockServer();
+    let context = null;
+
+    before(async function() {
+        await server.start();
+        const client = http.extend({
+            hooks: {
+                beforeRequest: [server.redirect()]
+            },
+            retry: 0
+        });
+        context = {
+            http: client,
+            scraper: client,
+            tokens: {
+                google: 'test-api-key',
+                vimeo: 'test-vimeo-token'
+            },
+            views: 0
+        };
+        google.options({
+            adapter: server.googleAdapter()
+        });
+    });
+
+    afterEach(function() {
+        server.reset();
+    });
+
+    after(async function() {
+        google.options({
+            adapter: undefined
+        });
+        await server.stop();
+    });
+
+    describe('bilibili', function() {
+        const route = 'api.bilibili.com/x/web-interface/view';
+        const page = 'www.bilibili.com/video/BV1xx411c7mD/';
+
+        it('fetches view counts from the API', async function() {
+            server.route(route, 'bilibili-view.json');
+            assert.strictEqual(
+                await bb.fetchViews('BV1xx411c7mD', context),
+                123456
+            );
+            const [request] = server.requestsTo(route);
+            assert.strictEqual(request.params.bvid, 'BV1xx411c7mD');
+        });
+        it('looks up AV IDs by their number', async function() {
+            server.route(route, 'bilibili-view.json');
+            await bb.fetchViews('av2', context);
+            const [request] = server.requestsTo(route);
+            assert.strictEqual(request.params.aid, '2');
+        });
+        it('falls back to the video page', async function() {
+            server.route(route, 'bilibili-view-blocked.json');
+            server.route(page, 'bilibili-video.html');
+            assert.strictEqual(
+                await bb.fetchViews('BV1xx411c7mD', context),
+                123400
+            );
+        });
+        it('reports deleted videos as unavailable', async function() {
+            server.route(route, 'bilibili-view-deleted.json');
+            await assert.rejects(
+                bb.fetchViews('BV1xx411c7mD', context),
+                VideoUnavailableError
+            );
+            assert.strictEqual(server.requestsTo(page).length, 0);
+        });
+        it('skips audio pages', async function() {
+            assert.strictEqual(await bb.fetchViews('au123', {
+                ...context,
+                views: 42
+            }), 42);
+            assert.strictEqual(server.requests.length, 0);
+        });
+    });
+
+    describe('Niconico', function() {
+        const route = 'www.nicovideo.jp/api/watch/v3_guest/sm1';
+        const thumbInfo = 'ext.nicovideo.jp/api/getthumbinfo/sm1';
+
+        it('fetches view counts from the watch API', async function() {
+            server.route(route, 'niconico-watch.json');
+            assert.strictEqual(await nn.fetchViews('sm1', context), 1234567);
+            const [request] = server.requestsTo(route);
+            assert.match(request.params.actionTrackId, /^\w{10}_\d{13}$/u);
+        });
+        it('fetches other statistics from the watch API', async function() {
+            server.route(route, 'niconico-watch.json');
+            assert.deepStrictEqual(await nn.fetchStats('sm1', context), {
+                comments: 8901,
+                likes: 7890,
+                mylists: 23456,
+                views: 1234567
+            });
+        });
+        it('falls back to the thumbnail info API', async function() {
+            server.route(route, () => ({
+                body: 'Forbidden',
+                status: 403
+            }));
+            server.route(thumbInfo, 'niconico-thumbinfo.xml');
+            assert.deepStrictEqual(await nn.fetchStats('sm1', context), {
+                comments: 8901,
+                mylists: 23456,
+                views: 1234000
+            });
+        });
+        it('reports why videos are unavailable', async function() {
+            server.route(route, () => ({
+                fixture: 'niconico-watch-deleted.json',
+                status: 404
+            }));
+            server.route(thumbInfo, 'niconico-thumbinfo-deleted.xml');
+            await assert.rejects(nn.fetchViews('sm1', context), {
+                name: 'VideoUnavailableError',
+                reason: 'DELETED'
+            });
+        });
+    });
+
+    describe('SoundCloud', function() {
+        const resolve = 'api-v2.soundcloud.com/resolve';
+        const track = 'soundcloud.com/producer/test-song';
+
+        /**
+         * Serves the SoundCloud home page and the script with the client ID.
+         */
+        function routeClientId() {
+            server.route('soundcloud.com/', 'soundcloud-home.html');
+            server.route('a-v2.sndcdn.com/assets/0-a1b2c3.js', () => ({
+                body: ''
+            }));
+            server.route(
+                'a-v2.sndcdn.com/assets/49-d4e5f6.js',
+                'soundcloud-app.js'
+            );
+        }
+
+        it('resolves tracks with the client ID', async function() {
+            routeClientId();
+            server.route(resolve, 'soundcloud-resolve.json');
+            assert.strictEqual(
+                await sc.fetchViews('producer/test-song', context),
+                45678
+            );
+            const [request] = server.requestsTo(resolve);
+            assert.deepStrictEqual(request.params, {
+                // eslint-disable-next-line camelcase
+                client_id: 'TestClientId0123456789abcdefghij',
+                url: 'https://soundcloud.com/producer/test-song'
+            });
+        });
+        it('falls back to the track page', async function() {
+            routeClientId();
+            server.route(resolve, () => ({
+                body: 'Unauthorized',
+                status: 401
+            }));
+            server.route(track, 'soundcloud-track.html');
+            assert.strictEqual(
+                await sc.fetchViews('producer/test-song', context),
+                45600
+            );
+        });
+        it('reports missing tracks as unavailable', async function() {
+            routeClientId();
+            server.route(resolve, () => ({
+                body: 'Not Found',
+                status: 404
+            }));
+            await assert.rejects(
+                sc.fetchViews('producer/test-song', context),
+                VideoUnavailableError
+            );
+            assert.strictEqual(server.requestsTo(track).length, 0);
+        });
+    });
+
+    describe('TikTok', function() {
+        const id = '7300000000000000001';
+        const route = `www.tiktok.com/@/video/${id}`;
+
+        it('fetches play counts from the video page', async function() {
+            server.route(route, 'tiktok-video.html');
+            assert.strictEqual(await tt.fetchViews(id, context), 87654);
+        });
+        it('accepts video paths with the user', async function() {
+            server.route(
+                `www.tiktok.com/@producer/video/${id}`,
+                'tiktok-video.html'
+            );
+            assert.strictEqual(
+                await tt.fetchViews(`@producer/video/${id}`, context),
+                87654
+            );
+        });
+        it('reports deleted videos as unavailable', async function() {
+            server.route(route, 'tiktok-video-deleted.html');
+            await assert.rejects(tt.fetchViews(id, context), {
+                name: 'VideoUnavailableError',
+                reason: 'not found'
+            });
+        });
+    });
+
+    describe('X', function() {
+        const id = '1745000000000000001';
+        const route = 'cdn.syndication.twimg.com/tweet-result';
+
+        it('fetches video view counts of posts', async function() {
+            server.route(route, 'x-post.json');
+            assert.strictEqual(
+                await tw.fetchViews(`producer/status/${id}`, context),
+                65432
+            );
+            const [request] = server.requestsTo(route);
+            assert.strictEqual(request.params.id, id);
+            assert.match(request.params.token, /^[\da-z]+$/u);
+        });
+        it('reports deleted posts as unavailable', async function() {
+            server.route(route, 'x-post-deleted.json');
+            await assert.rejects(
+                tw.fetchViews(id, context),
+                VideoUnavailableError
+            );
+        });
+    });
+
+    describe('Vimeo', function() {
+        const route = 'api.vimeo.com/videos/76979871';
+
+        it('fetches play counts with the token', async function() {
+            server.route(route, 'vimeo-video.json');
+            assert.strictEqual(await vm.fetchViews('76979871', context), 9876);
+        });
+        it('reports missing videos as unavailable', async function() {
+            server.route(route, () => ({
+                body: {
+                    error: 'The requested video couldn\'t be found.'
+                },
+                status: 404
+            }));
+            await assert.rejects(
+                vm.fetchViews('76979871', context),
+                VideoUnavailableError
+            );
+        });
+    });
+
+    describe('YouTube', function() {
+        const route = 'youtube.googleapis.com/youtube/v3/videos';
+
+        it('fetches view counts of many videos at once', async function() {
+            server.route(route, 'youtube-videos.json');
+            await yt.prefetch(['abcdefghijk', 'missingvid0'], context);
+            assert.strictEqual(
+                await yt.fetchViews('abcdefghijk', context),
+                2345678
+            );
+            assert.deepStrictEqual(
+                await yt.fetchStats('abcdefghijk', context),
+                {
+                    comments: 4567,
+                    likes: 34567,
+                    views: 2345678
+                }
+            );
+            await assert.rejects(
+                yt.fetchViews('missingvid0', context),
+                VideoUnavailableError
+            );
+            const requests = server.requestsTo(route);
+            assert.strictEqual(requests.length, 1);
+            assert.strictEqual(
+                requests[0].params.id,
+                'abcdefghijk,missingvid0'
+            );
+        });
+        it('fails when the quota is exceeded', async function() {
+            server.route(route, () => ({
+                fixture: 'youtube-quota.json',
+                status: 403
+            }));
+            await assert.rejects(yt.fetchViews('quotavideo0', context), /quota/u);
+        });
+        it('counts used quota units', async function() {
+            server.route(route, 'youtube-videos.json');
+            const {used} = yt.usage();
+            await yt.prefetch(['quotavideo1', 'quotavideo2'], context);
+            assert.strictEqual(yt.usage().used, used + 1);
+            assert.strictEqual(yt.usage().limit, 10000);
+        });
+        it('knows when the quota resets', function() {
+            assert.deepStrictEqual(
+                yt.nextQuotaReset(new Date('2024-03-01T12:00:00Z')),
+                new Date('2024-03-02T08:00:00Z')
+            );
+            assert.deepStrictEqual(
+                yt.nextQuotaReset(new Date('2024-07-01T06:00:00Z')),
+                new Date('2024-07-01T07:00:00Z')
+            );
+        });
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * schedule.test.js
+ *
+ * Tests for scheduling page checks in daemon mode.
+ */
+'use strict';
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const {mkdtemp, rm} = require('fs/promises');
+const Schedule = require('../include/schedule.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2024-03-01T00:00:00Z');
+const KEY = 'nn\nsm1';
+
+/**
+ * Creates a schedule where a page was checked for the first time.
+ * @param {number} views View count fetched in the first check
+ * @param {string} file Path to the schedule file
+ * @returns {Schedule} Schedule with the checked page
+ */
+function checkedOnce(views, file) {
+    const schedule = new Schedule({file});
+    schedule.add(['Test song'], NOW);
+    schedule.update('Test song', new Map([[KEY, views]]), NOW);
+    return schedule;
+}
+
+/**
+ * Checks the page of a schedule again some days after the first check.
+ * @param {Schedule} schedule Schedule with the checked page
+ * @param {number} days Days since the first check
+ * @param {number?} views Newly fetched view count
+ * @returns {number} Days until the next check
+ */
+function checkAgain(schedule, days, views) {
+    return schedule.update(
+        'Test song',
+        new Map([[KEY, views]]),
+        new Date(NOW.getTime() + days * DAY)
+    );
+}
+
+describe('Schedule', function() {
+    it('makes new pages due immediately', function() {
+        const schedule = new Schedule();
+        assert.strictEqual(schedule.add(['A', 'B'], NOW), 2);
+        assert.strictEqual(schedule.add(['B', 'C'], NOW), 1);
+        assert.deepStrictEqual(schedule.due(NOW), ['A', 'B', 'C']);
+        assert.deepStrictEqual(schedule.nextDue(), NOW);
+    });
+    it('checks pages again after the first check', function() {
+        const schedule = checkedOnce(1000);
+        assert.deepStrictEqual(schedule.due(NOW), []);
+        assert.deepStrictEqual(
+            schedule.nextDue(),
+            new Date(NOW.getTime() + DAY)
+        );
+    });
+    it('checks fast-growing pages daily', function() {
+        assert.strictEqual(checkAgain(checkedOnce(1000), 1, 2000), 1);
+    });
+    it('checks slowly growing pages less often', function() {
+        assert.strictEqual(checkAgain(checkedOnce(100000), 10, 101000), 10);
+    });
+    it('checks stable pages monthly', function() {
+        assert.strictEqual(checkAgain(checkedOnce(100000), 1, 100000), 30);
+    });
+    it('checks pages without view counts monthly', function() {
+        const schedule = new Schedule();
+        schedule.add(['Test song'], NOW);
+        assert.strictEqual(schedule.update('Test song', new Map(), NOW), 30);
+    });
+    it('retries pages whose view counts failed soon', function() {
+        const schedule = checkedOnce(1000);
+        assert.strictEqual(checkAgain(schedule, 1, null), 1);
+        assert.strictEqual(checkAgain(schedule, 2, 1200), 1);
+    });
+    it('postpones skipped pages by their interval', function() {
+        const schedule = checkedOnce(1000);
+        const later = new Date(NOW.getTime() + 2 * DAY);
+        schedule.checkNow('Test song', later);
+        schedule.postpone('Test song', later);
+        assert.deepStrictEqual(schedule.due(later), []);
+        assert.deepStrictEqual(
+            schedule.due(new Date(later.getTime() + DAY)),
+            ['Test song']
+        );
+    });
+    it('survives restarts', async function() {
+        const dir = await mkdtemp(path.join(os.tmpdir(), 'vwvcu-'));
+        const file = path.join(dir, 'schedule.json');
+        try {
+            const schedule = checkedOnce(1000, file);
+            schedule.listed = NOW.toISOString();
+            await schedule.save();
+            const loaded = new Schedule({file});
+            assert.strictEqual(await loaded.load(), true);
+            assert.strictEqual(loaded.listed, NOW.toISOString());
+            assert.strictEqual(checkAgain(loaded, 1, 2000), 1);
+        } finally {
+            await rm(dir, {
+                force: true,
+                recursive: true
+            });
+        }
+    });
+});
@@ -0,0 +1,199 @@
+/**
+ * server.js
+ *
+ * Local HTTP server serving recorded responses in place of the wiki and
+ * video providers.
+ */
+'use strict';
+
+const http = require('http');
+const path = require('path');
+const {readFile} = require('fs/promises');
+const {URL, URLSearchParams} = require('url');
+
+const FIXTURES_DIR = path.resolve(__dirname, 'fixtures');
+
+/**
+ * Reads a recorded response.
+ * @param {string} name File name of the fixture
+ * @returns {Promise<string>} Contents of the fixture
+ */
+function fixture(name) {
+    return readFile(path.resolve(FIXTURES_DIR, name), {
+        encoding: 'utf-8'
+    });
+}
+
+/**
+ * Mock server routing requests for all hosts to registered handlers.
+ * Requests for `https://example.com/path` are made to the server as
+ * `/example.com/path`.
+ */
+class MockServer {
+    /**
+     * Class constructor.
+     */
+    constructor() {
+        this._server = http.createServer(this.#handle.bind(this));
+        this._routes = new Map();
+        this.requests = [];
+        this.url = null;
+    }
+    /**
+     * Starts listening on a random local port.
+     * @returns {Promise} Promise resolving once the server is listening
+     */
+    start() {
+        return new Promise(this.#listen.bind(this));
+    }
+    /**
+     * Stops the server.
+     * @returns {Promise} Promise resolving once the server is closed
+     */
+    stop() {
+        return new Promise(this.#close.bind(this));
+    }
+    /**
+     * Registers a handler for a URL.
+     * @param {string} route Host and path of the URL, such as
+     * `example.com/path`
+     * @param {Function|string} handler Function receiving the request,
+     * with its `method` and `params`, and returning the response `body`
+     * with an optional `status`, or a fixture name to always respond with
+     */
+    route(route, handler) {
+        this._routes.set(
+            route,
+            typeof handler === 'string' ? () => ({fixture: handler}) : handler
+        );
+    }
+    /**
+     * Removes all handlers and recorded requests.
+     */
+    reset() {
+        this._routes.clear();
+        this.requests = [];
+    }
+    /**
+     * Requests made to a route.
+     * @param {string} route Host and path of the URL
+     * @returns {object[]} Requests with their `method` and `params`
+     */
+    requestsTo(route) {
+        return this.requests.filter(request => request.route === route);
+    }
+    /**
+     * Creates a `got` hook redirecting requests to this server.
+     * @returns {Function} Hook to use in `beforeRequest`
+     */
+    redirect() {
+        return this.#redirect.bind(this);
+    }
+    /**
+     * Creates a request adapter for Google APIs redirecting requests to
+     * this server.
+     * @returns {Function} Adapter to set through `google.options`
+     */
+    googleAdapter() {
+        return this.#googleAdapter.bind(this);
+    }
+    /**
+     * Redirects a request to this server.
+     * @param {object} options Request options
+     */
+    #redirect(options) {
+        options.url = this.#rewrite(options.url);
+    }
+    /**
+     * Redirects a request to Google APIs to this server.
+     * @param {object} options Request options
+     * @param {Function} request Default request adapter
+     * @returns {Promise<object>} Response
+     */
+    #googleAdapter(options, request) {
+        return request({
+            ...options,
+            url: this.#rewrite(new URL(options.url)).href
+        });
+    }
+    /**
+     * Rewrites a URL to point to this server.
+     * @param {URL} url Original URL
+     * @returns {URL} URL on this server
+     */
+    #rewrite({host, pathname, search}) {
+        return new URL(`${this.url}/${host}${pathname}${search}`);
+    }
+    /**
+     * Starts listening.
+     * @param {Function} resolve Function to call once listening
+     */
+    #listen(resolve) {
+        this._server.listen(
+            0,
+            '127.0.0.1',
+            this.#onListening.bind(this, resolve)
+        );
+    }
+    /**
+     * Records the server URL once listening.
+     * @param {Function} resolve Function to call
+     */
+    #onListening(resolve) {
+        this.url = `http://127.0.0.1:${this._server.address().port}`;
+        resolve();
+    }
+    /**
+     * Stops listening.
+     * @param {Function} resolve Function to call once closed
+     */
+    #close(resolve) {
+        this._server.close(resolve);
+    }
+    /**
+     * Responds to a request.
+     * @param {http.IncomingMessage} req Incoming request
+     * @param {http.ServerResponse} res Response to the request
+     */
+    async #handle(req, res) {
+        let body = '';
+        for await (const chunk of req) {
+            body += chunk;
+        }
+        const url = new URL(req.url, this.url);
+        const route = url.pathname.slice(1);
+        const request = {
+            method: req.method,
+            params: Object.fromEntries([
+                ...url.searchParams,
+                ...new URLSearchParams(body)
+            ]),
+            route
+        };
+        this.requests.push(request);
+        const handler = this._routes.get(route);
+        if (!handler) {
+            res.statusCode = 404;
+            res.end(`No route for ${route}`);
+            return;
+        }
+        const response = await handler(request);
+        res.statusCode = response.status || 200;
+        if (response.fixture) {
+            if (response.fixture.endsWith('.json')) {
+                res.setHeader('Content-Type', 'application/json');
+            }
+            res.end(await fixture(response.fixture));
+        } else if (typeof response.body === 'string') {
+            res.end(response.body);
+        } else {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(response.body));
+        }
+    }
+}
+
+module.exports = {
+    MockServer,
+    fixture
+};
@@ -0,0 +1,75 @@
+/**
+ * unavailable.test.js
+ *
+ * Tests for the report of unavailable videos.
+ */
+'use strict';
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const {mkdtemp, readFile, rm} = require('fs/promises');
+const UnavailableReport = require('../include/unavailable.js');
+
+describe('UnavailableReport', function() {
+    let dir = null;
+
+    beforeEach(async function() {
+        dir = await mkdtemp(path.join(os.tmpdir(), 'vwvcu-unavailable-'));
+    });
+
+    afterEach(async function() {
+        await rm(dir, {
+            force: true,
+            recursive: true
+        });
+    });
+
+    it('writes nothing without unavailable videos', async function() {
+        const report = new UnavailableReport({
+            file: path.join(dir, 'unavailable.md')
+        });
+        assert.strictEqual(await report.write(), null);
+    });
+    it('lists unavailable videos', async function() {
+        const file = path.join(dir, 'reports', 'unavailable.md');
+        const report = new UnavailableReport({
+            file
+        });
+        report.add({
+            id: 'sm1',
+            page: 'A|B',
+            provider: 'nn',
+            reason: 'DELETED'
+        });
+        assert.strictEqual(await report.write(), file);
+        assert.match(await readFile(file, {
+            encoding: 'utf-8'
+        }), /^\| A\\\|B \| nn \| sm1 \| DELETED \|$/mu);
+        assert.match(
+            report.wikitext(),
+            /^\| \[\[A\|B\]\] \|\| nn \|\| \{\{l\|nn\|sm1\}\} \|\| DELETED$/mu
+        );
+    });
+    it('lists videos found unavailable again once', function() {
+        const report = new UnavailableReport();
+        for (const reason of ['PRIVATE', 'DELETED']) {
+            report.add({
+                id: 'sm1',
+                page: 'Test song',
+                provider: 'nn',
+                reason
+            });
+        }
+        report.add({
+            id: 'sm1',
+            page: 'Other song',
+            provider: 'nn',
+            reason: 'DELETED'
+        });
+        assert.deepStrictEqual(
+            report.videos.map(({page, reason}) => `${page}: ${reason}`),
+            ['Test song: DELETED', 'Other song: DELETED']
+        );
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * views.test.js
+ *
+ * Tests for parsing, rounding and formatting view counts.
+ */
+'use strict';
+
+const assert = require('assert');
+const {commafy, parseViews, roundV} = require('../include/views.js');
+
+describe('commafy', function() {
+    it('leaves numbers below 1000 as they are', function() {
+        assert.strictEqual(commafy(0), '0');
+        assert.strictEqual(commafy(999), '999');
+    });
+    it('separates groups of three digits', function() {
+        assert.strictEqual(commafy(1000), '1,000');
+        assert.strictEqual(commafy(123456), '123,456');
+        assert.strictEqual(commafy(1234567), '1,234,567');
+        assert.strictEqual(commafy(12345678901), '12,345,678,901');
+    });
+    it('rejects invalid view counts', function() {
+        assert.throws(() => commafy(undefined), TypeError);
+        assert.throws(() => commafy(NaN), TypeError);
+        assert.throws(() => commafy(-1), TypeError);
+        assert.throws(() => commafy(1.5), TypeError);
+    });
+});
+
+describe('roundV', function() {
+    it('keeps single digits', function() {
+        assert.strictEqual(roundV(7), '7');
+    });
+    it('rounds two-digit numbers to tens', function() {
+        assert.strictEqual(roundV(14), '10');
+        assert.strictEqual(roundV(15), '20');
+    });
+    it('truncates larger numbers like {{v}}', function() {
+        assert.strictEqual(roundV(987), '980');
+        assert.strictEqual(roundV(12345), '12300');
+        assert.strictEqual(roundV(123456), '123400');
+        assert.strictEqual(roundV(12345678), '12345000');
+    });
+    it('truncates numbers of any magnitude', function() {
+        assert.strictEqual(roundV(123456789), '123456000');
+        assert.strictEqual(roundV(1234567890), '1234560000');
+        assert.strictEqual(roundV(98765432101), '98765430000');
+    });
+    it('rejects invalid view counts', function() {
+        assert.throws(() => roundV(undefined), TypeError);
+    });
+});
+
+describe('parseViews', function() {
+    it('parses exact view counts', function() {
+        assert.deepStrictEqual(parseViews('1,234,567'), {
+            approximate: false,
+            length: 9,
+            views: 1234567
+        });
+        assert.strictEqual(parseViews('1.234.567').views, 1234567);
+        assert.strictEqual(parseViews('1 234 567').views, 1234567);
+        assert.strictEqual(parseViews('42').views, 42);
+    });
+    it('parses approximate view counts', function() {
+        assert.deepStrictEqual(parseViews('1.2M'), {
+            approximate: true,
+            length: 4,
+            views: 1200000
+        });
+        assert.strictEqual(parseViews('12k').views, 12000);
+        assert.strictEqual(parseViews('2.5 billion').views, 2500000000);
+        assert.deepStrictEqual(parseViews('1,234+'), {
+            approximate: true,
+            length: 6,
+            views: 1234
+        });
+        assert.strictEqual(parseViews('~5,000').approximate, true);
+    });
+    it('leaves annotations out of the view count', function() {
+        assert.deepStrictEqual(parseViews('1,234<ref>As of 2020</ref>'), {
+            approximate: false,
+            length: 5,
+            views: 1234
+        });
+        assert.strictEqual(parseViews('1,234 <!-- old -->').length, 5);
+    });
+    it('rejects fractions without a magnitude suffix', function() {
+        assert.strictEqual(parseViews('1.5'), null);
+        assert.strictEqual(parseViews('1,234.5'), null);
+        assert.strictEqual(parseViews('1.2345'), null);
+        assert.strictEqual(parseViews('1.234').views, 1234);
+    });
+    it('rejects values without a view count', function() {
+        assert.strictEqual(parseViews(''), null);
+        assert.strictEqual(parseViews('unknown'), null);
+        assert.strictEqual(parseViews('{{{views}}}'), null);
+    });
+});
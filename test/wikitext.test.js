@@ -0,0 +1,218 @@
+/**
+ * wikitext.test.js
+ *
+ * Tests for parsing and editing template invocations in wikitext.
+ */
+'use strict';
+
+const assert = require('assert');
+const {
+    addCategory,
+    findTemplates,
+    findViewCounts,
+    getParam,
+    hasCategory,
+    markUnavailable,
+    normalizeName,
+    parseTemplates,
+    replaceSpans,
+    setParam
+} = require('../include/wikitext.js');
+
+const SONG = [
+    '{{Song box 2',
+    '|title = Test song',
+    '|views = {{v|nn|1,000,000}}, {{v|yt|2,000,000<ref>{{Cite|x=1}}</ref>}}',
+    '|links = {{l|nn|sm1}} {{l|yt|abcdefghijk}} {{l|bb|BV1}}',
+    '}}'
+].join('\n');
+
+/**
+ * Checks whether a provider is supported in tests.
+ * @param {string} provider Provider code
+ * @returns {boolean} Whether the provider is Niconico or YouTube
+ */
+function isSupported(provider) {
+    return provider === 'nn' || provider === 'yt';
+}
+
+describe('normalizeName', function() {
+    it('normalizes template names like MediaWiki', function() {
+        assert.strictEqual(
+            normalizeName(' template:song_box  2 '),
+            'Song box 2'
+        );
+        assert.strictEqual(normalizeName('v<!-- views -->'), 'V');
+    });
+});
+
+describe('findTemplates', function() {
+    it('finds templates by normalized name', function() {
+        assert.strictEqual(
+            findTemplates(SONG, 'template:song_box_2').length,
+            1
+        );
+    });
+});
+
+describe('parseTemplates', function() {
+    it('parses named and positional parameters', function() {
+        const [template] = parseTemplates('{{v| nn |1,000| note = x }}');
+        assert.strictEqual(template.name, 'V');
+        assert.deepStrictEqual(
+            template.params.map(({name, value}) => [name, value]),
+            [['1', 'nn'], ['2', '1,000'], ['note', 'x']]
+        );
+    });
+    it('keeps nested templates and links inside parameters', function() {
+        const text = '{{a|b={{c|d=e}}|[[f|g]]}}';
+        const [template] = parseTemplates(text);
+        assert.strictEqual(getParam(template, 'b').value, '{{c|d=e}}');
+        assert.strictEqual(getParam(template, 1).value, '[[f|g]]');
+        const [nested] = parseTemplates(
+            text,
+            getParam(template, 'b').start,
+            getParam(template, 'b').end
+        );
+        assert.strictEqual(nested.name, 'C');
+    });
+    it('ignores templates and separators in comments', function() {
+        const templates = parseTemplates(
+            '<!-- {{v|nn|1}} -->{{v|nn|2<!-- | -->}}'
+        );
+        assert.strictEqual(templates.length, 1);
+        assert.strictEqual(templates[0].params.length, 2);
+        assert.strictEqual(getParam(templates[0], 2).value, '2<!-- | -->');
+    });
+    it('gives spans of trimmed values', function() {
+        const text = '{{a| b = c \n}}';
+        const [template] = parseTemplates(text);
+        const {end, start} = getParam(template, 'b');
+        assert.strictEqual(text.slice(start, end), 'c');
+    });
+});
+
+describe('findViewCounts', function() {
+    it('pairs view counts with links of the same provider', function() {
+        const pairs = findViewCounts(SONG, 'Song box 2', isSupported);
+        assert.deepStrictEqual(
+            pairs.map(({count, link, provider}) => [
+                provider,
+                link,
+                count.value
+            ]),
+            [
+                ['nn', 'sm1', '1,000,000'],
+                ['yt', 'abcdefghijk', '2,000,000<ref>{{Cite|x=1}}</ref>']
+            ]
+        );
+        assert.strictEqual(pairs[0].countTemplate.name, 'V');
+        assert.strictEqual(pairs[0].infobox.name, 'Song box 2');
+    });
+    it('pairs view counts in every infobox separately', function() {
+        const text = `${SONG}\n${SONG.replace('sm1', 'sm2')
+            .replace('1,000,000', '3,000')}`;
+        const pairs = findViewCounts(text, 'song_box 2', isSupported)
+            .filter(({provider}) => provider === 'nn');
+        assert.deepStrictEqual(
+            pairs.map(({count, link}) => [link, count.value]),
+            [['sm1', '1,000,000'], ['sm2', '3,000']]
+        );
+        assert.notStrictEqual(pairs[0].infobox.start, pairs[1].infobox.start);
+    });
+    it('leaves links without view counts unpaired', function() {
+        const [pair] = findViewCounts(
+            '{{Song box 2|views = |links = {{l|nn|sm1}}}}',
+            'Song box 2',
+            isSupported
+        );
+        assert.strictEqual(pair.count, null);
+        assert.strictEqual(pair.countTemplate, null);
+    });
+    it('reads other statistics from their own parameter', function() {
+        const text = SONG.replace('|title', '|likes = {{v|nn|7,000}}\n|title');
+        const pairs = findViewCounts(text, 'Song box 2', isSupported, 'likes');
+        assert.deepStrictEqual(
+            pairs.map(({count}) => count && count.value),
+            ['7,000', null]
+        );
+    });
+});
+
+describe('replaceSpans', function() {
+    it('replaces several spans at once', function() {
+        assert.strictEqual(replaceSpans('abcdef', [
+            {
+                end: 2,
+                start: 0,
+                text: 'X'
+            },
+            {
+                end: 6,
+                start: 4,
+                text: 'YZ!'
+            },
+            {
+                end: 3,
+                start: 3,
+                text: '+'
+            }
+        ]), 'Xc+dYZ!');
+    });
+});
+
+describe('setParam', function() {
+    it('replaces the value of existing parameters', function() {
+        const text = '{{a|date = 2024-01-01 |b=c}}';
+        const [template] = parseTemplates(text);
+        assert.strictEqual(
+            replaceSpans(text, [
+                setParam(text, template, 'date', '2024-02-01')
+            ]),
+            '{{a|date = 2024-02-01 |b=c}}'
+        );
+    });
+    it('adds missing parameters in the style of the template', function() {
+        const inline = '{{a|b=c}}';
+        assert.strictEqual(replaceSpans(inline, [
+            setParam(inline, parseTemplates(inline)[0], 'date', 'x')
+        ]), '{{a|b=c|date=x}}');
+        assert.strictEqual(replaceSpans(SONG, [
+            setParam(SONG, parseTemplates(SONG)[0], 'date', 'x')
+        ]), SONG.replace('BV1}}\n}}', 'BV1}}\n|date = x\n}}'));
+    });
+    it('adds positional parameters after the last one', function() {
+        const text = '{{v|nn|1,000}}';
+        assert.strictEqual(replaceSpans(text, [
+            setParam(text, parseTemplates(text)[0], 3, '2024-02-01')
+        ]), '{{v|nn|1,000|2024-02-01}}');
+    });
+});
+
+describe('markUnavailable', function() {
+    it('adds the parameter to {{l}} templates once', function() {
+        const text = '{{l|nn|sm1}}';
+        const [link] = parseTemplates(text);
+        assert.strictEqual(
+            replaceSpans(text, [markUnavailable(link, 'unavailable')]),
+            '{{l|nn|sm1|unavailable}}'
+        );
+        const [marked] = parseTemplates('{{l|nn|sm1|unavailable}}');
+        assert.strictEqual(markUnavailable(marked, 'unavailable'), null);
+        assert.strictEqual(markUnavailable(link, null), null);
+    });
+});
+
+describe('addCategory', function() {
+    it('adds categories that are not there yet', function() {
+        assert.strictEqual(
+            hasCategory('[[category:Test_songs|x]]', 'Test songs'),
+            true
+        );
+        assert.strictEqual(addCategory('Text\n', 'A'), 'Text\n[[Category:A]]');
+        assert.strictEqual(
+            addCategory('[[Category:A]]', 'A'),
+            '[[Category:A]]'
+        );
+    });
+});